@@ -0,0 +1,164 @@
+/**
+ * Persist the progress of a request
+ */
+
+'use strict'
+
+/**
+ * Dependencies
+ */
+
+const fs = require('fs')
+
+/**
+ * A checkpoint is a small JSON document saved to a local file or an S3
+ * object. Writes are throttled, and never overlap, so an older state can't
+ * overwrite a newer one.
+ */
+
+class Checkpoint {
+
+  /**
+   * @constructor
+   *
+   * @param {S3} s3 The S3 instance used for checkpoints stored in S3
+   * @param {String|Object} location A local file path, or an object with the
+   * `bucket` and `key` of an S3 object
+   * @param {Number} [interval=5000] Minimum time between writes, in ms
+   */
+
+  constructor(s3, location, interval) {
+    if (typeof location !== 'string' && !(location && location.bucket && location.key)) {
+      throw new TypeError('checkpoint location must be a file path or an object with bucket and key')
+    }
+    this.s3 = s3
+    this.location = location
+    this.interval = interval == null ? 5000 : interval
+    this.state = null
+    this.saved = null
+    this.error = null
+    this.timer = null
+    this.writing = Promise.resolve()
+  }
+
+  /**
+   * Reads the checkpoint.
+   *
+   * @return {Promise<Object>} Resolves with the saved state, or null if there
+   * is no checkpoint yet
+   */
+
+  load() {
+    if (typeof this.location === 'string') {
+      return new Promise((success, fail) => {
+        fs.readFile(this.location, 'utf8', (err, data) => {
+          if (err && err.code === 'ENOENT') {
+            success(null)
+          } else if (err) {
+            fail(err)
+          } else {
+            success(JSON.parse(data))
+          }
+        })
+      })
+    }
+    return this.s3.get(this.location.bucket, this.location.key)
+      .then(data => JSON.parse(data))
+      .catch((err) => {
+        if (err.code === 'NoSuchKey' || err.code === 'NotFound') {
+          return null
+        }
+        throw err
+      })
+  }
+
+  /**
+   * Updates the state to save. The state is written at most once every
+   * `interval` ms.
+   *
+   * @param {Object} state The state to save
+   */
+
+  update(state) {
+    this.state = state
+    if (this.timer == null) {
+      this.timer = setTimeout(() => {
+        this.timer = null
+        this.write().catch((err) => {
+          this.error = err
+        })
+      }, this.interval)
+    }
+  }
+
+  /**
+   * Writes the latest state now.
+   *
+   * @return {Promise} Resolves once the state is saved. Rejects with the
+   * error of any failed write since the last flush.
+   */
+
+  flush() {
+    clearTimeout(this.timer)
+    this.timer = null
+    return this.write().then(() => {
+      const err = this.error
+      this.error = null
+      if (err) {
+        throw err
+      }
+    })
+  }
+
+  /**
+   * Queues a write of the latest state after any write in progress.
+   *
+   * @private
+   * @return {Promise}
+   */
+
+  write() {
+    const previous = this.writing.catch(() => {})
+    this.writing = previous.then(() => {
+      const state = this.state
+      if (state === this.saved) {
+        return null
+      }
+      return this.store(JSON.stringify(state)).then(() => {
+        this.saved = state
+      })
+    })
+    return this.writing
+  }
+
+  /**
+   * Stores serialized state. Local files are written to a temporary file
+   * first, so a crash mid-write never leaves a truncated checkpoint.
+   *
+   * @private
+   * @param {String} data The serialized state
+   * @return {Promise}
+   */
+
+  store(data) {
+    if (typeof this.location === 'string') {
+      const tmp = `${this.location}.tmp`
+      return new Promise((success, fail) => {
+        fs.writeFile(tmp, data, (err) => {
+          if (err) {
+            fail(err)
+          } else {
+            fs.rename(tmp, this.location, e => (e ? fail(e) : success()))
+          }
+        })
+      })
+    }
+    return this.s3.put(this.location.bucket, this.location.key, data)
+  }
+}
+
+/**
+ * Exports
+ */
+
+module.exports = Checkpoint
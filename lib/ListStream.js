@@ -0,0 +1,284 @@
+/**
+ * Readable stream over the objects in an S3 folder
+ */
+
+'use strict'
+
+/**
+ * Dependencies
+ */
+
+const Readable = require('stream').Readable
+
+/**
+ * Picks the tightest of several bounds of a key range.
+ *
+ * @param {Array<Object>} bounds Bounds, each with a `key` (or null if
+ * unset) and whether it is `inclusive`
+ * @param {Number} direction 1 for lower bounds, -1 for upper bounds
+ * @return {Object} The tightest bound, or null if none is set
+ */
+
+function tightest(bounds, direction) {
+  return bounds.filter(bound => bound.key != null && bound.key !== '').reduce((best, bound) => {
+    if (best == null) {
+      return bound
+    }
+    if (bound.key === best.key) {
+      return best.inclusive ? bound : best
+    }
+    return (bound.key > best.key) === (direction > 0) ? bound : best
+  }, null)
+}
+
+/**
+ * Gets a key that comes before another one, and as close to it as it can,
+ * so that listing after it (StartAfter) starts at that key.
+ *
+ * @param {String} key The key
+ * @return {String} The key before it
+ */
+
+function before(key) {
+  const head = key.slice(0, -1)
+  const last = key.charCodeAt(key.length - 1)
+
+  // Nothing sorts between a key and the same key followed by \0
+  if (last === 0) {
+    return head
+  }
+
+  // Characters outside of the BMP don't sort the same in UTF-16 and UTF-8,
+  // so keys ending with one are listed from before the whole character
+  if (last >= 0xd800 && last <= 0xdfff) {
+    return key.slice(0, -2)
+  }
+  const previous = last === 0xe000 ? 0xd7ff : last - 1
+  return `${head}${String.fromCharCode(previous)}\uffff`
+}
+
+/**
+ * ListStream lists an S3 folder one page at a time, only requesting the next
+ * page once the previous one has been consumed. Each value is an object from
+ * the `Contents` of the listObjectsV2 (or listObjects) response.
+ */
+
+class ListStream extends Readable {
+
+  /**
+   * @constructor
+   *
+   * @param {S3} s3 The S3 instance used to list objects
+   * @param {String} bucket - The bucket
+   * @param {String} prefix - The prefix for the folder to list keys for
+   * @param {String} [endPrefix] Process all files up to this key prefix
+   * @param {String} [marker] - The key to start listing after,
+   * alphabetically (StartAfter)
+   * @param {Object} [options]
+   * @param {String} [options.start] The first key of the range to list
+   * @param {Boolean} [options.startInclusive=true] Whether `start` itself is
+   * in the range
+   * @param {String} [options.end] The key that ends the range to list
+   * @param {Boolean} [options.endInclusive=false] Whether `end` itself is in
+   * the range
+   * @param {String} [options.delimiter] Only list the objects directly in
+   * the folder, and not in its sub-folders
+   * @param {Boolean} [options.versions=false] List every version (and delete
+   * marker) of the objects, with listObjectVersions
+   * @param {Number} [options.highWaterMark=16] The number of objects to
+   * buffer before waiting for them to be consumed. Each page is listed in
+   * full, so up to a page more can be buffered.
+   */
+
+  constructor(s3, bucket, prefix, endPrefix, marker, options) {
+    options = options || {}
+    super({
+      objectMode: true,
+      highWaterMark: options.highWaterMark || 16
+    })
+    const bounds = ListStream.bounds(endPrefix, marker, options)
+    this.s3 = s3
+    this.bucket = bucket
+    this.prefix = prefix
+    this.lower = bounds.lower
+    this.upper = bounds.upper
+    this.delimiter = options.delimiter || null
+    this.versions = options.versions === true
+
+    // S3 only lists after a key, so an inclusive start is listed from the
+    // key just before it
+    this.marker = ''
+    if (this.lower) {
+      this.marker = this.lower.inclusive ? before(this.lower.key) : this.lower.key
+    }
+    this.continuationToken = null
+    this.versionIdMarker = null
+    this.listing = false
+    this.finished = false
+  }
+
+  /**
+   * Combines the legacy endPrefix and marker with the start and end of a
+   * range, keeping the tightest bounds.
+   *
+   * @param {String} [endPrefix] Keys from this one on are excluded
+   * @param {String} [marker] Keys up to this one are excluded
+   * @param {Object} [range] The start, startInclusive, end and endInclusive
+   * of the range (see constructor)
+   * @return {Object} The `lower` and `upper` bounds, each with a `key` and
+   * whether it is `inclusive`, or null if unbounded
+   */
+
+  static bounds(endPrefix, marker, range) {
+    range = range || {}
+    return {
+      lower: tightest([{
+        key: marker,
+        inclusive: false
+      }, {
+        key: range.start,
+        inclusive: range.startInclusive !== false
+      }], 1),
+      upper: tightest([{
+        key: endPrefix,
+        inclusive: false
+      }, {
+        key: range.end,
+        inclusive: range.endInclusive === true
+      }], -1)
+    }
+  }
+
+  /**
+   * Whether a key comes after the range.
+   *
+   * @private
+   * @param {String} key The key
+   * @return {Boolean}
+   */
+
+  isAfterRange(key) {
+    const upper = this.upper
+    return upper != null && (key > upper.key || (key === upper.key && !upper.inclusive))
+  }
+
+  /**
+   * Whether a key comes before the range.
+   *
+   * @private
+   * @param {String} key The key
+   * @return {Boolean}
+   */
+
+  isBeforeRange(key) {
+    const lower = this.lower
+    return lower != null && (key < lower.key || (key === lower.key && !lower.inclusive))
+  }
+
+  /**
+   * Whether a key is in a sub-folder, when listing with a delimiter. Stores
+   * that ignore the delimiter list these keys too.
+   *
+   * @private
+   * @param {String} key The key
+   * @return {Boolean}
+   */
+
+  isNested(key) {
+    return this.delimiter != null && key.indexOf(this.delimiter, this.prefix.length) > -1
+  }
+
+  /**
+   * Called by the stream whenever it wants more objects.
+   *
+   * @private
+   */
+
+  _read() {
+    this.list()
+  }
+
+  /**
+   * Lists the next page of objects.
+   *
+   * @private
+   */
+
+  list() {
+    if (this.listing || this.finished) {
+      return
+    }
+    this.listing = true
+    const delimiter = this.delimiter
+    const page = this.versions
+      ? this.s3.listVersionsPage(this.bucket, this.prefix, this.marker, this.versionIdMarker,
+        delimiter)
+      : this.s3.listPage(this.bucket, this.prefix, this.marker, this.continuationToken, delimiter)
+    page.then(res => this.onPage(res), err => this.destroy(err))
+  }
+
+  /**
+   * Pushes the objects of a page, and updates the continuation token or the
+   * marker for the next one.
+   *
+   * @private
+   * @param {Object} page The listObjectsV2 (or listObjects) response
+   */
+
+  onPage(page) {
+    this.listing = false
+    if (this.destroyed) {
+      return
+    }
+
+    // Ignore empty objects that represent folders, keys in sub-folders, and
+    // keys outside of the range. Keys before it are listed when the start is
+    // inclusive, or by stores that don't honor StartAfter.
+    const objects = page.Contents.filter((object) => {
+      const empty = object.Size === 0
+      const isDir = object.Key.lastIndexOf('/') === object.Key.length - 1
+      return !(empty && isDir) && !this.isNested(object.Key) &&
+        !this.isBeforeRange(object.Key) && !this.isAfterRange(object.Key)
+    })
+
+    // With a delimiter, a page can hold only CommonPrefixes, which count as
+    // listed keys too
+    const prefixes = this.delimiter ? (page.CommonPrefixes || []).map(common => common.Prefix) : []
+    const listed = page.Contents.map(object => object.Key).concat(prefixes).sort()
+
+    // Once a key after the range is listed, there is nothing more to list.
+    // Older versions of the last key of the range can still be on the next
+    // page.
+    const lastListed = listed.length > 0 ? listed[listed.length - 1] : ''
+    const upper = this.upper
+    const isLast = !this.versions && upper != null && lastListed === upper.key
+    const endReached = this.isAfterRange(lastListed) || isLast
+
+    // `page.IsTruncated` indicates whether there are more keys to list
+    // if so, we continue with the continuation token, or after the last key
+    // for stores that don't return one
+    if (page.IsTruncated && !endReached && listed.length > 0) {
+      this.continuationToken = page.NextContinuationToken || null
+      this.versionIdMarker = page.NextVersionIdMarker || null
+      this.marker = page.NextKeyMarker || page.NextMarker || lastListed
+    } else {
+      this.finished = true
+    }
+
+    objects.forEach(object => this.push(object))
+
+    if (this.finished) {
+      this.push(null)
+    } else if (objects.length === 0) {
+
+      // Nothing was pushed, so the stream won't ask for more on its own
+      this.list()
+    }
+  }
+}
+
+/**
+ * Exports
+ */
+
+module.exports = ListStream
@@ -0,0 +1,249 @@
+/**
+ * Show the progress of a request
+ */
+
+'use strict'
+
+/**
+ * Dependencies
+ */
+
+const ProgressBar = require('progress')
+
+/**
+ * Time between redraws of the progress bar, in ms.
+ */
+
+const RENDER_INTERVAL = 200
+
+/**
+ * Bytes in a megabyte.
+ */
+
+const MB = 1024 * 1024
+
+/**
+ * Formats a duration for humans, eg. 45s, 3m05s, or 2h10m.
+ *
+ * @param {Number} seconds The duration, in seconds
+ * @return {String}
+ */
+
+function formatDuration(seconds) {
+  if (!isFinite(seconds)) {
+    return '?'
+  }
+  const s = Math.round(seconds)
+  const pad = n => (n < 10 ? `0${n}` : `${n}`)
+  if (s < 60) {
+    return `${s}s`
+  }
+  if (s < 3600) {
+    return `${Math.floor(s / 60)}m${pad(s % 60)}s`
+  }
+  return `${Math.floor(s / 3600)}h${pad(Math.floor((s % 3600) / 60))}m`
+}
+
+/**
+ * Formats the throughput and errors of a request.
+ *
+ * @param {Object} figures The figures of the request
+ * @return {String}
+ */
+
+function formatThroughput(figures) {
+  return `${figures.rate.toFixed(1)} objects/s, ${figures.mbps.toFixed(2)} MB/s, ` +
+    `${figures.errors} errors`
+}
+
+/**
+ * Shows the progress of a request, in two phases: while objects are being
+ * listed, the number of pages and keys found so far, and once listing is
+ * over, a bar with the ETA. Both show the throughput and the number of
+ * errors. When stdout or the output isn't a TTY, a line is written every
+ * `interval` instead, or logged at info, with the figures as fields, if a
+ * logger is plugged in.
+ *
+ * Requests only list objects as fast as they process them, so listing is
+ * only over near the end. With `count`, the keys are counted by a listing of
+ * their own instead, which runs ahead.
+ */
+
+class Progress {
+
+  /**
+   * @constructor
+   *
+   * @param {Request} request The request, whose stats are shown
+   * @param {Readable} sources The sources of the request
+   * @param {Object} [checkpoint] The checkpoint the request resumed from
+   * @param {Object} [options]
+   * @param {Writable} [options.stream=process.stderr] The stream to write to
+   * @param {Number} [options.interval=10000] Time between lines when the
+   * stream isn't a TTY, in ms
+   * @param {Boolean} [options.count=false] Whether to count the keys with a
+   * listing of their own, so the ETA is shown early. It doubles the LIST
+   * requests, and runs `exclude` twice per object.
+   */
+
+  constructor(request, sources, checkpoint, options) {
+    options = options || {}
+    this.request = request
+    this.stream = options.stream || process.stderr
+    this.interval = options.interval || 10000
+    this.tty = Boolean(process.stdout.isTTY && this.stream.isTTY)
+    this.listing = true
+    this.bar = null
+    this.keys = 0
+    this.counter = null
+    this.s3 = request.s3
+
+    // Count the keys with a listing that doesn't wait for processing
+    let listed = sources
+    if (options.count) {
+      this.s3 = request.lambda.abortable()
+      this.counter = request.listSources(this.s3, checkpoint).sources
+      this.counter.on('data', () => this.keys++)
+      this.counter.on('error', () => {})
+      listed = this.counter
+    }
+    listed.on('end', () => {
+      this.listing = false
+    })
+
+    request.once('end', () => this.finish())
+    this.timer = setInterval(() => this.render(), this.tty ? RENDER_INTERVAL : this.interval)
+    this.timer.unref()
+  }
+
+  /**
+   * Gets the figures shown.
+   *
+   * @private
+   * @return {Object}
+   */
+
+  figures() {
+    const stats = this.request.stats
+    const done = stats.processed + stats.failed
+    const elapsed = Math.max(Date.now() - stats.start, 1) / 1000
+    const rate = done / elapsed
+    const listed = Math.max(this.keys, stats.listed)
+    return {
+      pages: this.s3.pages,
+      listed,
+      done,
+      errors: stats.failed,
+      elapsed,
+      rate,
+      mbps: (stats.bytesIn + stats.bytesOut) / MB / elapsed,
+      eta: rate > 0 ? (listed - done) / rate : Infinity
+    }
+  }
+
+  /**
+   * Writes a line of progress, or logs it if a logger is plugged in.
+   *
+   * @private
+   * @param {String} phase The phase of the request: listing, processing, or
+   * done
+   * @param {String} line The line
+   * @param {Object} figures The figures of the request
+   */
+
+  writeLine(phase, line, figures) {
+    const lambda = this.request.lambda
+    if (!lambda.hasLogger) {
+      this.stream.write(`${line}\n`)
+      return
+    }
+    lambda.log('info', line, {
+      phase,
+      pages: figures.pages,
+      listed: figures.listed,
+      processed: figures.done,
+      errors: figures.errors,
+      duration: Math.round(figures.elapsed * 1000),
+      objectsPerSecond: figures.rate,
+      mbPerSecond: figures.mbps,
+      eta: isFinite(figures.eta) && !this.listing ? Math.round(figures.eta) : null
+    })
+  }
+
+  /**
+   * Draws the progress, or writes a line of it if the stream isn't a TTY.
+   *
+   * @private
+   */
+
+  render() {
+    const figures = this.figures()
+    const throughput = formatThroughput(figures)
+
+    if (this.listing) {
+      const line = `listing: ${figures.pages} pages, ${figures.listed} keys found, ` +
+        `${figures.done} processed, ${throughput}`
+      if (this.tty) {
+        this.stream.clearLine()
+        this.stream.cursorTo(0)
+        this.stream.write(line)
+      } else {
+        this.writeLine('listing', line, figures)
+      }
+      return
+    }
+
+    if (!this.tty) {
+      const percent = figures.listed > 0 ? Math.floor((figures.done / figures.listed) * 100) : 100
+      this.writeLine('processing', `processing: ${figures.done}/${figures.listed} ${percent}%, ` +
+        `ETA ${formatDuration(figures.eta)}, ${throughput}`, figures)
+      return
+    }
+
+    // The bar starts once the total is known
+    if (this.bar == null) {
+      this.bar = new ProgressBar('[:bar] :current/:total :percent ETA :remaining, :throughput', {
+        total: figures.listed,
+        width: 40,
+        stream: this.stream,
+        clear: true
+      })
+    }
+    if (!this.bar.complete && figures.listed > 0) {
+      this.bar.tick(figures.done - this.bar.curr, {
+        remaining: formatDuration(figures.eta),
+        throughput
+      })
+    }
+  }
+
+  /**
+   * Stops showing the progress, and writes a summary of the request.
+   *
+   * @private
+   */
+
+  finish() {
+    clearInterval(this.timer)
+    if (this.counter) {
+      this.s3.abort(new Error('request ended'))
+      this.counter.destroy()
+    }
+    const figures = this.figures()
+    const line = `done: ${figures.done} objects in ${formatDuration(figures.elapsed)}, ` +
+      `${formatThroughput(figures)}`
+    if (this.tty) {
+      this.stream.clearLine()
+      this.stream.cursorTo(0)
+      this.stream.write(`${line}\n`)
+    } else {
+      this.writeLine('done', line, figures)
+    }
+  }
+}
+
+/**
+ * Exports
+ */
+
+module.exports = Progress
@@ -8,32 +8,227 @@
  * dependencies
  */
 
-const ProgressBar = require('progress')
-const Batch = require('batch')
+const EventEmitter = require('events').EventEmitter
+const Transform = require('stream').Transform
+const StreamBatch = require('./StreamBatch')
+const streams = require('./streams')
+const Checkpoint = require('./Checkpoint')
+const Progress = require('./Progress')
+const codecs = require('./codecs')
+const records = require('./records')
 
-class Request {
+/**
+ * Inplace filter deletes objects in batches of this many keys, the most a
+ * single deleteObjects request takes.
+ */
+
+const DELETE_BATCH_SIZE = 1000
+
+/**
+ * With adaptive concurrency, concurrency changes at most once every this
+ * many ms: it is halved when S3 throttles requests, and grows by one when it
+ * hasn't since the last change.
+ */
+
+const ADAPT_INTERVAL = 1000
+
+/**
+ * Options that set where a context is listed, which don't carry over to the
+ * contexts of its sub-folders.
+ */
+
+const LISTING_OPTIONS = ['prefix', 'glob', 'marker', 'endPrefix', 'start', 'startInclusive',
+  'end', 'endInclusive', 'delimiter']
+
+/**
+ * Creates the context of a sub-folder, with the options of its parent.
+ *
+ * @param {Object} context The parent context
+ * @param {String} prefix The prefix of the sub-folder
+ * @return {Object} The context of the sub-folder
+ */
+
+function subContext(context, prefix) {
+  const sub = {}
+  Object.keys(context).forEach((option) => {
+    if (LISTING_OPTIONS.indexOf(option) === -1) {
+      sub[option] = context[option]
+    }
+  })
+  sub.prefix = prefix
+  return sub
+}
+
+/**
+ * Returns true if `body` is a readable stream.
+ *
+ * @param {*} body The object body
+ * @return {Boolean}
+ */
+
+function isStream(body) {
+  return body != null && typeof body.pipe === 'function'
+}
+
+/**
+ * Returns the size of an object body in bytes, or null if it is not a string
+ * or a buffer.
+ *
+ * @param {*} body The object body
+ * @return {Number}
+ */
+
+function byteLength(body) {
+  if (Buffer.isBuffer(body)) {
+    return body.length
+  }
+  if (typeof body === 'string') {
+    return Buffer.byteLength(body)
+  }
+  return null
+}
+
+/**
+ * Reads a stream to the end, counting its bytes.
+ *
+ * @param {Readable} stream The stream
+ * @return {Promise<Number>} Resolves with the size of the stream in bytes
+ */
+
+function streamLength(stream) {
+  return new Promise((success, fail) => {
+    let length = 0
+    stream.on('data', (chunk) => {
+      length += byteLength(chunk)
+    })
+    stream.on('end', () => success(length))
+    stream.on('error', fail)
+  })
+}
+
+/**
+ * Counts the bytes of a stream as they flow through. Errors in `stream` are
+ * forwarded.
+ *
+ * @param {Readable} stream The stream
+ * @param {Function} onBytes Called with the size of each chunk
+ * @return {Readable}
+ */
+
+function meter(stream, onBytes) {
+  const output = new Transform({
+    transform(chunk, encoding, callback) {
+      onBytes(chunk.length)
+      callback(null, chunk)
+    }
+  })
+  stream.on('error', err => output.destroy(err))
+  return stream.pipe(output)
+}
+
+/**
+ * Gets the actions of a dry run plan, in the listing order of their sources.
+ *
+ * @param {Array<Object>} plan The planned actions, each with the `order` of
+ * its source and the `action`
+ * @return {Array<Object>} The actions
+ */
+
+function inListingOrder(plan) {
+  return plan.slice().sort((a, b) => a.order - b.order).map(entry => entry.action)
+}
+
+/**
+ * Creates the stats of a run.
+ *
+ * @return {Object}
+ */
+
+function createStats() {
+  return {
+    listed: 0,
+    duplicates: 0,
+    processed: 0,
+    failed: 0,
+    written: 0,
+    deleted: 0,
+    bytesIn: 0,
+    bytesOut: 0,
+    errors: {},
+    start: new Date(),
+    end: null,
+    duration: 0,
+    objectsPerSecond: 0,
+    bytesInPerSecond: 0,
+    bytesOutPerSecond: 0
+  }
+}
+
+/**
+ * A Request runs a lambda function over the objects of its contexts. It
+ * emits an event for each step of processing an object, with the source of
+ * the object and details of the step:
+ *
+ * - `listed` once the object is listed
+ * - `fetched` once its body is fetched, with its `bytes` and `duration`
+ * - `written` once its output is put or copied, with the `bucket`, `key`,
+ *   `bytes` and `duration` of the write, and whether it was a `copy`
+ * - `deleted` once it is deleted, with its `bucket` and `key`
+ * - `processed` once it is processed, with the `duration`
+ * - `error` when it fails, with the error and the `stage` that failed
+ *
+ * and `end` with the stats of the run once it is over.
+ */
+
+class Request extends EventEmitter {
 
   /**
    * @constructor
    *
-   * @param {Promise} getObjects A promise that resolves to the target objects
-   * @param {S3} The S3 instance used to interact with remote files
+   * @param {Array<Object>} contexts The contexts of the target objects
+   * @param {S3Lambda} s3 The S3Lambda instance used to find and interact with
+   * remote files
    */
 
-  constructor(getObjects, s3) {
+  constructor(contexts, s3) {
+    super()
     this.showProgress = s3.showProgress
-    this.getObjects = getObjects
-    this.s3 = s3
+    this.contexts = contexts
+
+    // S3 requests sent for this request are aborted with it, but not the
+    // ones of the instance it was created with (eg. to save checkpoints)
+    this.lambda = s3
+    this.s3 = s3.abortable()
     this.opts = {
       concurrency: Infinity,
       transformer: null,
+      decompress: null,
+      compress: null,
+      records: null,
+      stream: false,
       encoding: s3.encoding,
       reverse: null,
       exclude: null,
       async: false,
-      limit: null
+      resume: false,
+      continueOnError: false,
+      dryRun: false,
+      limit: null,
+      signal: null,
+      adaptive: null,
+      withStats: false
     }
     this.target = null
+    this.permanent = false
+    this.checkpointer = null
+    this.positions = null
+    this.failed = new WeakSet()
+    this.order = new WeakMap()
+    this.duplicates = 0
+    this.aborted = null
+    this.batch = null
+    this.stats = null
+    this.progress = null
   }
 
   /**
@@ -49,45 +244,499 @@ class Request {
   }
 
   /**
-   * Enable modifications to the initial context.
+   * Gets the key a source is written to in the output location.
+   *
+   * @param {Object} source The source
+   * @return {String} The output key
+   */
+
+  outputKey(source) {
+    const key = source.key.replace(source.prefix, this.target.prefix)
+    return this.target.rename ? this.rename(key) : key
+  }
+
+  /**
+   * Enable modifications to the initial context. Sources are streamed, so
+   * processing can start before every object has been listed.
+   *
+   * @param {Object} [checkpoint] A checkpoint to resume from. Sources up to
+   * the checkpoint are skipped.
+   * @return {Readable} An object mode stream of sources
+   */
+
+  resolveSources(checkpoint) {
+    this.duplicates = 0
+    const listing = this.listSources(this.s3, checkpoint, () => {
+      this.duplicates++
+      this.stats.duplicates++
+    })
+    this.positions = listing.positions
+    return streams.map(listing.sources, (source) => {
+      this.track('listed', source)
+      return source
+    })
+  }
+
+  /**
+   * Lists the sources of the request, with its options applied.
+   *
+   * @param {S3} s3 The S3 instance to list with
+   * @param {Object} [checkpoint] A checkpoint to resume from. Sources up to
+   * the checkpoint are skipped.
+   * @param {Function} [onDuplicate] Called with each source dropped because
+   * another context listed it already
+   * @return {Object} The `sources` stream, and the `positions` of sources
+   * (the index of the context each one comes from)
+   */
+
+  listSources(s3, checkpoint, onDuplicate) {
+
+    // Remember which context each source comes from, for checkpoints
+    const positions = new WeakMap()
+    let sources = streams.concat(this.contexts.map((context, i) => () => (
+      streams.map(s3.streamContext(context), (source) => {
+        positions.set(source, i)
+        return source
+      })
+    )))
+
+    // Objects listed by several contexts are only processed once
+    sources = s3.dedupe(this.contexts, sources, onDuplicate)
+
+    if (this.opts.reverse) {
+      sources = streams.reverse(sources)
+    }
+    if (this.opts.limit) {
+      sources = streams.limit(sources, this.opts.limit)
+    }
+    if (checkpoint) {
+
+      // The versions of the checkpointed key are listed in order, so those
+      // up to the checkpointed version are skipped, and the older ones kept
+      let reached = false
+      sources = streams.filter(sources, (source) => {
+        const isKey = positions.get(source) === checkpoint.context && source.key === checkpoint.key
+        if (isKey && checkpoint.versionId != null) {
+          const checkpointed = !reached
+          reached = reached || source.versionId === checkpoint.versionId
+          return !checkpointed
+        }
+        return !this.isCheckpointed(source, checkpoint, positions)
+      })
+    }
+    if (this.opts.exclude) {
+      sources = streams.filter(sources, obj => !this.opts.exclude(obj.key, obj))
+    }
+    return {
+      sources,
+      positions
+    }
+  }
+
+  /**
+   * Updates the stats of the run with a step of processing an object, and
+   * emits it as an event.
+   *
+   * @private
+   * @param {String} event The step: listed, fetched, written, deleted, or
+   * processed
+   * @param {Object} source The source of the object
+   * @param {Object} [details] Details of the step
+   */
+
+  track(event, source, details) {
+    const stats = this.stats
+    if (event === 'listed') {
+      stats.listed++
+    } else if (event === 'fetched') {
+      stats.bytesIn += details.bytes || 0
+    } else if (event === 'written') {
+      stats.written++
+      stats.bytesOut += details.copy ? 0 : details.bytes || 0
+    } else if (event === 'deleted') {
+      stats.deleted++
+    } else if (event === 'processed') {
+      stats.processed++
+    }
+    this.emit(event, source, details || {})
+  }
+
+  /**
+   * Tracks an object that failed, and emits `error` if anyone listens to it.
+   *
+   * @private
+   * @param {Object} source The source of the object
+   * @param {Error} err The error
+   * @param {String} stage The step that failed
+   */
+
+  trackError(source, err, stage) {
+    const stats = this.stats
+    stats.failed++
+    stats.errors[stage || 'unknown'] = (stats.errors[stage || 'unknown'] || 0) + 1
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err, source, stage)
+    }
+  }
+
+  /**
+   * Tracks an output written for an object.
    *
-   * @return {Promise}
+   * @private
+   * @param {Object} source The source of the object
+   * @param {String} bucket The bucket written to
+   * @param {String} key The key written to
+   * @param {Number} bytes The number of bytes written, or copied
+   * @param {Date} start When the write started
+   * @param {Boolean} copy Whether the object was copied server side, in which
+   * case its bytes don't count as bytes out
    */
 
-  resolveSources() {
-    return new Promise((success, fail) => {
-      this.getObjects.then((objects) => {
-        objects = this.opts.reverse ? objects.reverse() : objects
-        objects = this.opts.limit ? objects.slice(0, this.opts.limit) : objects
-        objects = this.opts.exclude ? objects.filter(obj => !this.opts.exclude(obj.key)) : objects
-        success(objects)
-      }).catch(fail)
+  trackWrite(source, bucket, key, bytes, start, copy) {
+    this.track('written', source, {
+      bucket,
+      key,
+      bytes,
+      duration: new Date() - start,
+      copy
+    })
+  }
+
+  /**
+   * Completes the stats of the run with its duration and throughput, and
+   * emits `end` with them.
+   *
+   * @private
+   * @return {Object} The stats
+   */
+
+  finishStats() {
+    const stats = this.stats
+    stats.end = new Date()
+    stats.duration = stats.end - stats.start
+    const seconds = Math.max(stats.duration, 1) / 1000
+    stats.objectsPerSecond = stats.processed / seconds
+    stats.bytesInPerSecond = stats.bytesIn / seconds
+    stats.bytesOutPerSecond = stats.bytesOut / seconds
+    this.emit('end', stats)
+    return stats
+  }
+
+  /**
+   * Whether a source was processed before the checkpoint was saved, ie. it
+   * comes before (or is) the checkpoint in processing order.
+   *
+   * @param {Object} source The source
+   * @param {Object} checkpoint The saved checkpoint
+   * @param {WeakMap} positions The index of the context of each source
+   * @return {Boolean}
+   */
+
+  isCheckpointed(source, checkpoint, positions) {
+    const index = positions.get(source)
+    let order = index - checkpoint.context
+    if (order === 0) {
+      if (source.key < checkpoint.key) {
+        order = -1
+      } else if (source.key > checkpoint.key) {
+        order = 1
+      }
+
+      // Keys are listed in ascending order, unless either the context or the
+      // request (but not both) is reversed
+      if (!this.contexts[index].reverse !== !this.opts.reverse) {
+        order = -order
+      }
+    } else if (this.opts.reverse) {
+      order = -order
+    }
+    return order <= 0
+  }
+
+  /**
+   * Loads the checkpoint to resume from, if resuming.
+   *
+   * @return {Promise<Object>} Resolves with the checkpoint, or null
+   */
+
+  loadCheckpoint() {
+    if (!this.checkpointer || !this.opts.resume) {
+      return Promise.resolve(null)
+    }
+    return this.checkpointer.load().then((checkpoint) => {
+      const context = checkpoint && this.contexts[checkpoint.context]
+      if (checkpoint && !(context && context.bucket === checkpoint.bucket)) {
+        throw new Error('checkpoint does not match the contexts of this request')
+      }
+      return checkpoint
     })
   }
 
   /**
-   * Creates a progress bar for the request.
+   * Saves the last source such that every source before it has been
+   * processed, as the batch progresses. Sources that failed (with
+   * continueOnError) aren't processed, so the checkpoint never moves past
+   * them.
    *
-   * @param {Batch} batch The Batch instance used for the request.
-   * @param {Number} numSources The number of files being processed.
+   * @param {StreamBatch} batch The StreamBatch instance used for the request.
+   * @param {Object} [checkpoint] The checkpoint the request resumed from.
    */
 
-  handleProgress(batch, numSources) {
+  trackCheckpoint(batch, checkpoint) {
+    const queue = []
+    const completed = new Set()
+    let count = checkpoint ? checkpoint.completed : 0
+
+    batch.on('value', source => queue.push(source))
+    batch.on('progress', (progress) => {
+      if (!this.failed.has(progress.value)) {
+        completed.add(progress.value)
+      }
+
+      // Advance past every processed source at the front of the queue
+      let last = null
+      while (queue.length > 0 && completed.has(queue[0])) {
+        last = queue.shift()
+        completed.delete(last)
+        count++
+      }
+      if (last) {
+        this.checkpointer.update({
+          context: this.positions.get(last),
+          bucket: last.bucket,
+          key: last.key,
+          versionId: last.versionId,
+          completed: count
+        })
+      }
+    })
+  }
+
+  /**
+   * Adapts the concurrency of the batch to throttling, as objects are
+   * processed: it is halved (down to the minimum) when S3 throttled any
+   * request since the last change, and otherwise grows by one (up to the
+   * maximum), at most once every ADAPT_INTERVAL ms.
+   *
+   * @param {StreamBatch} batch The StreamBatch instance used for the request.
+   */
+
+  adaptConcurrency(batch) {
+    const min = this.opts.adaptive.min
+    const max = this.opts.adaptive.max
+    let throttles = this.lambda.throttles
+    let throttled = 0
+    let changed = 0
+
+    batch.concurrency(max)
+    batch.on('progress', () => {
+      const now = Date.now()
+      if (this.lambda.throttles > throttles) {
+        throttles = this.lambda.throttles
+        throttled = now
+      }
+      if (now - changed < ADAPT_INTERVAL) {
+        return
+      }
+      if (throttled > changed) {
+        batch.concurrency(Math.max(min, Math.floor(batch.n / 2)))
+        changed = now
+      } else if (batch.n < max) {
+        batch.concurrency(batch.n + 1)
+        changed = now
+      }
+    })
+  }
+
+  /**
+   * Shows the progress of the request: the pages and keys listed so far,
+   * then a bar with the ETA once listing is over, or periodic lines if the
+   * output isn't a TTY.
+   *
+   * @param {Readable} sources The sources of the request.
+   * @param {Object} [checkpoint] The checkpoint the request resumed from.
+   */
+
+  handleProgress(sources, checkpoint) {
     if (this.showProgress) {
-      const progress = new ProgressBar('[:bar] :percent', {
-        total: numSources,
-        width: 40
+      const options = typeof this.showProgress === 'object' ? this.showProgress : {}
+      this.progress = new Progress(this, sources, checkpoint, options)
+    }
+  }
+
+  /**
+   * Gets the body of a source, as set by encode(), transform(), decompress(),
+   * records() and stream().
+   *
+   * @param {Object} source The source
+   * @return {Promise} Resolves with the body, its records in record mode, or
+   * a readable stream in stream mode
+   */
+
+  fetch(source) {
+    const versionId = source.versionId
+    const start = new Date()
+    const fetched = bytes => this.track('fetched', source, {
+      bytes,
+      duration: new Date() - start
+    })
+
+    // Streams are fetched once they are read to the end
+    if (this.opts.stream) {
+      const body = this.s3.getStream(source.bucket, source.key, this.opts.decompress, versionId)
+      return body.then((stream) => {
+        let bytes = 0
+        const metered = meter(stream, (count) => {
+          bytes += count
+        })
+        metered.on('end', () => fetched(bytes))
+        return metered
+      })
+    }
+    const encoding = this.opts.encoding
+    const transformer = this.opts.transformer
+    const compression = this.opts.decompress
+    const body = this.s3.get(source.bucket, source.key, encoding, transformer, compression,
+      versionId, source.size).then((value) => {
+        fetched(byteLength(value) || 0)
+        return value
       })
-      batch.on('progress', () => progress.tick())
+    return this.opts.records ? body.then(text => records.parse(this.opts.records, text)) : body
+  }
+
+  /**
+   * Runs a function over every source in the request, as sources are listed.
+   *
+   * @param {Function} worker The function to run on each source. Takes the
+   * source and a `done(err, stage)` callback, where `stage` is the step that
+   * failed (get, function, put, copy, or delete).
+   * @param {Integer} [concurrency] Overrides the request's concurrency.
+   * @param {Function} [result] Returns the value to resolve with. Defaults to
+   * the last source that was processed.
+   * @return {Promise<Object>} Resolves after processing has completed. With
+   * continueOnError(), resolves with a report of successes and failures.
+   */
+
+  run(worker, concurrency, result) {
+    const report = this.opts.continueOnError ? { successes: 0, failures: [] } : null
+    this.stats = createStats()
+
+    // Record failures instead of stopping, if continuing on error. Once
+    // aborted, failures are interruptions.
+    const record = (source, err, stage, done) => {
+      if (err && report && !this.aborted) {
+        report.failures.push({
+          bucket: source.bucket,
+          prefix: source.prefix,
+          key: source.key,
+          stage,
+          error: err
+        })
+        this.failed.add(source)
+        done()
+      } else {
+        if (report && !err) {
+          report.successes++
+        }
+        done(err)
+      }
+    }
+
+    // Track each object as it is processed. Objects start in listing order.
+    let started = 0
+    const task = (source, done) => {
+      const start = new Date()
+      this.order.set(source, started++)
+      worker(source, (err, stage) => {
+        if (err && !this.aborted) {
+          this.trackError(source, err, stage)
+        } else if (!err) {
+          this.track('processed', source, {
+            duration: new Date() - start
+          })
+        }
+        record(source, err, stage, done)
+      })
+    }
+
+    // Abort along with the signal, even if it already is aborted, until the
+    // run settles, whether or not it got to start
+    const signal = this.opts.signal
+    const onAbort = () => this.abort(signal.reason)
+    const unlisten = () => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort)
+      if (signal.aborted) {
+        onAbort()
+      }
     }
+
+    const run = this.loadCheckpoint().then(checkpoint => new Promise((success, fail) => {
+      const sources = this.resolveSources(checkpoint)
+      const batch = new StreamBatch(sources, task)
+      batch.concurrency(concurrency || this.opts.concurrency)
+      if (this.opts.adaptive && !concurrency) {
+        this.adaptConcurrency(batch)
+      }
+      this.handleProgress(sources, checkpoint)
+
+      // Dry runs can resume from a checkpoint, but don't record progress
+      const checkpointer = this.opts.dryRun ? null : this.checkpointer
+      if (checkpointer) {
+        this.trackCheckpoint(batch, checkpoint)
+      }
+
+      // Keep track of what was processed, in case the request is aborted
+      let completed = 0
+      const interrupted = []
+      batch.on('progress', () => completed++)
+      batch.on('interrupted', source => interrupted.push(source))
+
+      this.batch = batch
+      batch.end((err, lastSource) => {
+        this.batch = null
+        const saved = checkpointer ? checkpointer.flush() : Promise.resolve()
+        const stats = this.finishStats()
+        saved.then(() => {
+          if (err && err === this.aborted) {
+            err.report = Object.assign({ completed, interrupted, stats }, report)
+            fail(err)
+          } else if (err) {
+            fail(err)
+          } else {
+            const value = result ? result() : lastSource
+            const duplicates = this.duplicates
+            if (report) {
+              success(Object.assign({ result: value, duplicates, stats }, report))
+            } else {
+              success(this.opts.withStats ? { result: value, stats } : value)
+            }
+          }
+        }).catch(e => fail(err || e))
+      })
+      if (this.aborted) {
+        batch.abort(this.aborted)
+      }
+    }))
+    return run.then((value) => {
+      unlisten()
+      return value
+    }, (err) => {
+      unlisten()
+      throw err
+    })
   }
 
   /**
    * Sets an exclude function to be used before getting objects from s3.
    *
    * @param {Function} e The function to use to exclude objects. The exclude
-   * functions takes an s3 key as a parameter and should return true if the
-   * object should be excluded.
+   * functions takes an s3 key and the source (with its listing metadata) as
+   * parameters and should return true if the object should be excluded.
    * @return {Request} The instance on which this method was called.
    */
 
@@ -124,6 +773,89 @@ class Request {
     return this
   }
 
+  /**
+   * Decompresses objects when getting them from s3, before they are
+   * transformed or converted to strings.
+   *
+   * @param {String} [codec='auto'] The codec to use (gzip, bzip2, or zstd).
+   * By default, it is detected from each object's ContentEncoding or key
+   * extension, and objects that aren't compressed are left as is. Throws if
+   * this version of node doesn't support the codec.
+   * @return {Request} The instance on which this method was called.
+   */
+
+  decompress(codec) {
+    codec = codec || 'auto'
+    if (codec !== 'auto') {
+      codecs.check(codec)
+    }
+    this.opts.decompress = codec
+    return this
+  }
+
+  /**
+   * Compresses the objects written by map, setting their ContentEncoding.
+   * Use the rename function of output() to add an extension to the keys.
+   *
+   * @param {String} codec The codec to use (gzip, bzip2, or zstd). Throws if
+   * this version of node doesn't support it.
+   * @return {Request} The instance on which this method was called.
+   */
+
+  compress(codec) {
+    codecs.check(codec)
+    this.opts.compress = codec
+    return this
+  }
+
+  /**
+   * Enables record mode, for objects made of newline-delimited JSON or CSV.
+   * In record mode, each, map and reduce call their function once per record
+   * instead of once per object, with the record, the key, the line number
+   * the record starts on, and the source. Map serializes the records it returns back
+   * into the same format, dropping null results.
+   *
+   * @param {String} format The record format (ndjson or csv)
+   * @param {Object} [options] CSV options
+   * @param {String} [options.delimiter=','] The field delimiter
+   * @param {Boolean} [options.header=true] Whether the first row is a header.
+   * If so, records are objects keyed by column, otherwise arrays of fields.
+   * @return {Request} The instance on which this method was called.
+   */
+
+  records(format, options) {
+    if (this.opts.stream) {
+      throw new Error('record mode does not support stream mode')
+    }
+    if (format !== 'ndjson' && format !== 'csv') {
+      throw new Error('record format must be ndjson or csv')
+    }
+    options = options || {}
+    this.opts.records = {
+      format,
+      delimiter: options.delimiter || ',',
+      header: options.header !== false
+    }
+    return this
+  }
+
+  /**
+   * Enables stream mode, for objects too large to buffer. In stream mode,
+   * functions are called with a readable stream of each object instead of a
+   * string, and map can return a readable stream, which is uploaded with a
+   * multipart upload. Encoding and transform are ignored in stream mode.
+   *
+   * @return {Request} The instance on which this method was called.
+   */
+
+  stream() {
+    if (this.opts.records) {
+      throw new Error('stream mode does not support record mode')
+    }
+    this.opts.stream = true
+    return this
+  }
+
   /**
    * Set the concurrency for requests.  Default is Infinity (as many as
    * the computer can handle). Has no effect with reduce.
@@ -160,17 +892,181 @@ class Request {
     return this
   }
 
+  /**
+   * Keeps processing when an object fails, instead of stopping at the first
+   * error. The request then resolves with a report: `{ result, successes,
+   * failures }`, where `failures` lists the bucket, prefix, key, stage (get,
+   * function, put, copy, or delete) and error of each failed object.
+   *
+   * @return {Request} The instance on which this method was called.
+   */
+
+  continueOnError() {
+    this.opts.continueOnError = true
+    return this
+  }
+
+  /**
+   * Resolves with the stats of the run alongside its result: `{ result,
+   * stats }`. The stats hold the number of objects `listed`, `duplicates`
+   * dropped (listed by overlapping contexts), `processed`, `failed`,
+   * `written` and `deleted`, the `bytesIn` fetched and `bytesOut` written
+   * (server side copies aren't counted), the `errors` by stage, the `start`,
+   * `end` and `duration` of the run, and its throughput in
+   * `objectsPerSecond`, `bytesInPerSecond` and `bytesOutPerSecond`. With
+   * continueOnError(), the stats are always part of the report.
+   *
+   * @return {Request} The instance on which this method was called.
+   */
+
+  withStats() {
+    this.opts.withStats = true
+    return this
+  }
+
+  /**
+   * Runs map, filter and copy without writing, copying or deleting anything.
+   * The user function still runs, and the request resolves with a plan of the
+   * actions that would have been taken, each with an `action` (put, copy, or
+   * delete), the source `bucket` and `key`, the `targetBucket` and
+   * `targetKey` (for put and copy), and the `size` in bytes. Actions are in
+   * the order objects were listed. A dry run can resume from a checkpoint,
+   * but doesn't record progress to it.
+   *
+   * @return {Request} The instance on which this method was called.
+   */
+
+  dryRun() {
+    this.opts.dryRun = true
+    return this
+  }
+
+  /**
+   * Adds an action to a dry run plan. Objects settle in any order, so the
+   * action is kept with the listing order of its source.
+   *
+   * @private
+   * @param {Array<Object>} plan The plan
+   * @param {Object} source The source the action is taken for
+   * @param {Object} action The action
+   */
+
+  addToPlan(plan, source, action) {
+    plan.push({
+      order: this.order.get(source),
+      action
+    })
+  }
+
+  /**
+   * Aborts the request when `signal` is aborted (see abort()).
+   *
+   * @param {AbortSignal} signal An AbortSignal, eg. from an AbortController
+   * @return {Request} The instance on which this method was called.
+   */
+
+  signal(signal) {
+    this.opts.signal = signal
+    return this
+  }
+
+  /**
+   * Aborts the request: no more objects are processed, and the S3 requests
+   * in flight are aborted. The request then rejects with an AbortError,
+   * once every object in progress has settled. Its `report` holds the number
+   * of objects `completed`, the sources that were `interrupted` (and might
+   * have been partially processed), and with continueOnError(), the
+   * successes and failures so far. The checkpoint, if any, is saved first.
+   *
+   * @param {*} [reason] Why the request was aborted
+   * @return {Request} The instance on which this method was called.
+   */
+
+  abort(reason) {
+    if (this.aborted == null) {
+      const message = reason instanceof Error ? reason.message : reason
+      const err = new Error(message == null ? 'request aborted' : `request aborted: ${message}`)
+      err.name = 'AbortError'
+      err.code = 'RequestAborted'
+      err.reason = reason
+      this.aborted = err
+      this.s3.abort(err)
+      if (this.batch) {
+        this.batch.abort(err)
+      }
+    }
+    return this
+  }
+
+  /**
+   * Adapts concurrency to throttling: it starts at `max`, is halved whenever
+   * S3 throttles requests (eg. with SlowDown or 503 errors), and ramps back
+   * up by one at a time once throttling clears. Overrides concurrency().
+   *
+   * @param {Integer} [max] The maximum concurrency. Defaults to the
+   * concurrency set with concurrency(), or 100.
+   * @param {Integer} [min=1] The minimum concurrency
+   * @return {Request} The instance on which this method was called.
+   */
+
+  adaptiveConcurrency(max, min) {
+    const concurrency = this.opts.concurrency
+    this.opts.adaptive = {
+      max: max || (isFinite(concurrency) ? concurrency : 100),
+      min: min || 1
+    }
+    return this
+  }
+
   /**
    * Enables destructive actions (map, filter) to occur inplace.
    *
+   * @param {Object} [options]
+   * @param {Boolean} [options.permanent=false] Allows filter to permanently
+   * delete the versions listed by contexts with `versions` or `asOf`
    * @return {Request} The instance on which this method was called.
    */
 
-  inplace() {
+  inplace(options) {
     this.destructive = true
+    this.permanent = Boolean(options && options.permanent)
     return this
   }
 
+  /**
+   * Records progress to a checkpoint as objects are processed, so that the
+   * request can be resumed with `resume()` if it dies halfway. The checkpoint
+   * holds the last object such that every object before it (in listing
+   * order) has been processed. With continueOnError(), it stops before the
+   * first object that failed, so resuming retries it.
+   *
+   * @param {String|Object} location A local file path, or an object with the
+   * `bucket` and `key` of the S3 object to save the checkpoint to.
+   * @param {Number} [interval=5000] Minimum time between writes, in ms.
+   * @return {Request} The instance on which this method was called.
+   */
+
+  checkpoint(location, interval) {
+    this.checkpointer = new Checkpoint(this.lambda, location, interval)
+    return this
+  }
+
+  /**
+   * Resumes the request from a checkpoint, skipping the objects that were
+   * already processed, and keeps recording progress to it. If there is no
+   * checkpoint yet, the request starts from the beginning.
+   *
+   * @param {String|Object} location A local file path, or an object with the
+   * `bucket` and `key` of the S3 object the checkpoint is saved to.
+   * @param {Number} [interval=5000] Minimum time between writes, in ms.
+   * @return {Request} The instance on which this method was called.
+   */
+
+  resume(location, interval) {
+    this.opts.resume = true
+    return this.checkpoint(location, interval)
+  }
+
   /**
    * Sets the output directory for map or filter.  If a target is set, map and
    * filter write to that location instead of changing the original objects
@@ -214,6 +1110,8 @@ class Request {
    * Run a function over s3 objects in parallel.
    *
    * @param {Function} func The function to perform over the working context.
+   * Takes the object, its key, and its source, which holds the bucket,
+   * prefix, key, size, lastModified, etag and storageClass of the object.
    * @param {Boolean} [isAsync=false] Set to true if `func` is async (returns a
    * Promise).
    * @return {Promise<Object>} Resolves after processing has completed,
@@ -224,42 +1122,27 @@ class Request {
   each(func, isAsync, concurrency) {
 
     isAsync = isAsync || this.opts.async
-    const batch = new Batch().concurrency(concurrency || this.opts.concurrency)
-
-    return new Promise((success, fail) => {
-      this.resolveSources().then((sources) => {
-
-        this.handleProgress(batch, sources.length)
-        const lastKey = sources[sources.length - 1]
-
-        // Loop over sources, apply function to each
-        sources.forEach((source) => {
-          const bucket = source.bucket
-          const key = source.key
-          const encoding = this.opts.encoding
-          const transformer = this.opts.transformer
-          batch.push((done) => {
-            this.s3.get(bucket, key, encoding, transformer).then((body) => {
-              if (isAsync) {
-                func(body, key).then(done).catch(done)
-              } else {
-                func(body, key)
-                done()
-              }
-            }).catch(done)
-          })
-        })
 
-        // Resolve error or last key processed.
-        batch.end((err) => {
-          if (err) {
-            fail(err)
-          } else {
-            success(lastKey)
-          }
-        })
-      }).catch(fail)
-    })
+    // In record mode, run the function on each record of an object
+    if (this.opts.records) {
+      const recordFunc = func
+      func = (body, key, source) => records.series(body, entry => (
+        recordFunc(entry.record, key, entry.line, source)
+      ), isAsync)
+    }
+
+    // Apply function to each source
+    return this.run((source, done) => {
+      const key = source.key
+      this.fetch(source).then((body) => {
+        if (isAsync) {
+          func(body, key, source).then(() => done(), err => done(err, 'function'))
+        } else {
+          func(body, key, source)
+          done()
+        }
+      }, err => done(err, 'get')).catch(err => done(err, 'function'))
+    }, concurrency)
   }
 
   /**
@@ -268,13 +1151,14 @@ class Request {
    * overwritten, but rather copied to the target location.
    *
    * @param {Function} func The function to map over each object in the working
-   * context. <code>func</code> takes a string as a parameter and should return a
-   * string that will replace the given s3 object.
+   * context. <code>func</code> takes a string (and the key and source of the
+   * object) as a parameter and should return a string that will replace the
+   * given s3 object.
    * @param {Boolean} [isAsync=false] If set to true, this indicates that func
    * is async and returns a promise.
    * @return {Promise<Object>} Resolves after processing has completed,
    * returning an object that contains the bucket, prefix, and key of the last
-   * S3 object that was processed.
+   * S3 object that was processed. With dryRun(), resolves with the plan.
    */
 
   map(func, isAsync) {
@@ -284,80 +1168,105 @@ class Request {
 
     isAsync = isAsync || this.opts.async
 
+    // Actions that would have been taken, in dry run mode
+    const plan = []
+
     // Used to output from the map function (S3Lambda.context.output.map)
-    const mapOutput = (bucket, key, prefix, body, done) => {
+    const mapOutput = (source, body, done) => {
+      const bucket = source.bucket
+      const key = source.key
+      const prefix = source.prefix
       if (body == null) {
-        throw new Error('mapper function must return a value')
+        done(new Error('mapper function must return a value'), 'function')
+        return
       }
-      if (this.target == null) {
-        this.s3.put(bucket, key, body, this.opts.encoding).then(() => {
-          done()
-        }).catch(done)
-      } else {
 
-        const outputBucket = this.target.bucket
-        let outputKey = key.replace(prefix, this.target.prefix)
+      let outputBucket = bucket
+      let outputKey = key
+      if (this.target != null) {
+        outputBucket = this.target.bucket
+        outputKey = key.replace(prefix, this.target.prefix)
 
         // Rename output key (if necessary)
         outputKey = this.target.rename ? this.rename(outputKey) : outputKey
+      }
 
-        this.s3.put(outputBucket, outputKey, body, this.opts.encoding).then(() => {
+      if (this.opts.dryRun) {
+
+        // Streams are drained to measure them
+        const size = isStream(body) ? streamLength(body) : Promise.resolve(byteLength(body))
+        size.then((bytes) => {
+          this.addToPlan(plan, source, {
+            action: 'put',
+            bucket,
+            key,
+            targetBucket: outputBucket,
+            targetKey: outputKey,
+            size: bytes
+          })
           done()
-        }).catch((e) => {
-          done(e)
+        }).catch(err => done(err, 'function'))
+      } else if (isStream(body)) {
+        const start = new Date()
+        let bytes = 0
+        const metered = meter(body, (count) => {
+          bytes += count
         })
+        this.s3.upload(outputBucket, outputKey, metered, this.opts.compress).then(() => {
+          this.trackWrite(source, outputBucket, outputKey, bytes, start)
+          done()
+        }).catch(err => done(err, 'put'))
+      } else {
+        const start = new Date()
+        const encoding = this.opts.encoding
+        const compression = this.opts.compress
+        this.s3.put(outputBucket, outputKey, body, encoding, compression).then(() => {
+          this.trackWrite(source, outputBucket, outputKey, byteLength(body), start)
+          done()
+        }).catch(err => done(err, 'put'))
       }
     }
 
-    const batch = new Batch()
-    batch.concurrency(this.opts.concurrency)
-
-    return new Promise((success, fail) => {
-      this.resolveSources().then((sources) => {
-
-        this.handleProgress(batch, sources.length)
-        const lastKey = sources[sources.length - 1]
-
-        // Loop over sources, apply mapper function to each
-        sources.forEach((source) => {
-          const bucket = source.bucket
-          const key = source.key
-          const encoding = this.opts.encoding
-          const transformer = this.opts.transformer
-          batch.push((done) => {
-            this.s3.get(bucket, key, encoding, transformer).then((val) => {
-              if (isAsync) {
-                func(val, source.key).then((newval) => {
-                  mapOutput(bucket, key, source.prefix, newval, done)
-                }).catch(done)
-              } else {
-                const newval = func(val, source.key)
-                mapOutput(bucket, key, source.prefix, newval, done)
-              }
-            }).catch(done)
-          })
-        })
+    // In record mode, map each record of an object, and serialize the
+    // results back into the same format. Null results are dropped.
+    if (this.opts.records) {
+      const recordFunc = func
+      const serialize = results => (
+        records.serialize(this.opts.records, results.filter(result => result != null))
+      )
+      func = (body, key, source) => {
+        const results = records.series(body, entry => (
+          recordFunc(entry.record, key, entry.line, source)
+        ), isAsync)
+        return isAsync ? results.then(serialize) : serialize(results)
+      }
+    }
 
-        // Resolve error or last key processed
-        batch.end((err) => {
-          if (err) {
-            fail(err)
-          }
-          success(lastKey)
-        })
-      }).catch(fail)
-    })
+    // Apply mapper function to each source
+    return this.run((source, done) => {
+      this.fetch(source).then((val) => {
+        if (isAsync) {
+          func(val, source.key, source).then((newval) => {
+            mapOutput(source, newval, done)
+          }).catch(err => done(err, 'function'))
+        } else {
+          const newval = func(val, source.key, source)
+          mapOutput(source, newval, done)
+        }
+      }, err => done(err, 'get')).catch(err => done(err, 'function'))
+    }, null, this.opts.dryRun ? () => inListingOrder(plan) : null)
   }
 
   /**
    * Reduce the objects in the working context to a single value.
    *
    * @param {Function} func Function to execute on each value in the array, taking
-   * three arguments:
+   * four arguments:
    *   `accumulator`: The accumulated value previously returned from the last
    *   invocation of func
    *   `currentValue`: The current entry being processed
    *   `key`: The key of the current object being processed
+   *   `source`: The source of the current object, with its listing metadata
    *   func either returns the updated value, or a promise that resolves to the
    *   updated value.
    * @param {String} initialValue Optional. Initial value to use as the first
@@ -372,60 +1281,48 @@ class Request {
 
     isAsync = isAsync || this.opts.async
     initialValue = initialValue || null
-    const batch = new Batch()
-    batch.concurrency(this.opts.concurrency)
-
-    return new Promise((success, fail) => {
-      this.resolveSources().then((sources) => {
-
-        this.handleProgress(batch, sources.length)
-        let accumulator = initialValue
-
-        // Loop over sources, update `accumulator`
-        sources.forEach((source) => {
-          const bucket = source.bucket
-          const key = source.key
-          const encoding = this.opts.encoding
-          const transformer = this.opts.transformer
-          batch.push((done) => {
-            this.s3.get(bucket, key, encoding, transformer).then((body) => {
-              if (isAsync) {
-                func(accumulator, body, key).then((newval) => {
-                  accumulator = newval
-                  done()
-                }).catch(done)
-              } else {
-                accumulator = func(accumulator, body, key)
-                done()
-              }
-            }).catch(done)
-          })
-        })
+    let accumulator = initialValue
+
+    // In record mode, fold over each record of an object
+    if (this.opts.records) {
+      const recordFunc = func
+      func = (acc, body, key, source) => records.fold(body, (prev, entry) => (
+        recordFunc(prev, entry.record, key, entry.line, source)
+      ), acc, isAsync)
+    }
 
-        // Resolve error or reducer result `accumulator`
-        batch.end((err) => {
-          if (err) {
-            fail(err)
-          } else {
-            success(accumulator)
-          }
-        })
-      }).catch(fail)
-    })
+    // Update `accumulator` with each source
+    return this.run((source, done) => {
+      const key = source.key
+      this.fetch(source).then((body) => {
+        if (isAsync) {
+          func(accumulator, body, key, source).then((newval) => {
+            accumulator = newval
+            done()
+          }, err => done(err, 'function'))
+        } else {
+          accumulator = func(accumulator, body, key, source)
+          done()
+        }
+      }, err => done(err, 'get')).catch(err => done(err, 'function'))
+    }, null, () => accumulator)
   }
 
   /**
-   * Filter the objects in the working context.
+   * Filter the objects in the working context. Inplace, on contexts that list
+   * versions, filtered versions are deleted permanently, so it throws unless
+   * inplace() is called with `permanent`.
    *
    * @param {Function} func The function to filter objects by, returning true for
-   * objects that should not be filtered and false for those that should. If
+   * objects that should not be filtered and false for those that should. It
+   * takes the object and its source, with its listing metadata. If
    * isAsync is set to true, func returns a promise that resolves to true or
    * false.
    * @param {Boolean} isAsync Optional, defaults to false. If set to true, this
    * indicates that func returns a promise.
    * @return {Promise<Object>} Resolves after processing has completed,
    * returning an object that contains the bucket, prefix, and key of the last
-   * S3 object that was processed.
+   * S3 object that was processed. With dryRun(), resolves with the plan.
    */
 
   filter(func, isAsync) {
@@ -433,11 +1330,22 @@ class Request {
       throw new Error('must use target() or inplace() for destructive operations (map, filter)')
     }
 
+    // Deleting a version can't be undone, unlike deleting the current object
+    const versioned = this.contexts.some(context => context.versions || context.asOf != null)
+    if (this.target == null && versioned && !this.permanent) {
+      throw new Error('filter deletes versions permanently, use inplace({ permanent: true })')
+    }
+    if (this.opts.records) {
+      throw new Error('filter does not support record mode')
+    }
+
     isAsync = isAsync || this.opts.async
-    const batch = new Batch()
+
+    // Actions that would have been taken, in dry run mode
+    const plan = []
 
     // Keep a file when filtering
-    const keep = source => new Promise((success, fail) => {
+    const keep = (source, body) => new Promise((success, fail) => {
       if (this.target == null) {
 
         // Since we are keeping the file and there is no output, there is
@@ -447,32 +1355,107 @@ class Request {
         const bucket = source.bucket
         const key = source.key
         const targetBucket = this.target.bucket
-        let targetKey = key.replace(source.prefix, this.target.prefix)
+        const targetKey = this.outputKey(source)
+
+        if (this.opts.dryRun) {
+          this.addToPlan(plan, source, {
+            action: 'copy',
+            bucket,
+            key,
+            versionId: source.versionId,
+            targetBucket,
+            targetKey,
+            size: byteLength(body)
+          })
+          success()
+        } else {
+          const start = new Date()
+          const versionId = source.versionId
+          this.s3.copy(bucket, key, targetBucket, targetKey, source.size, versionId).then(() => {
+            this.trackWrite(source, targetBucket, targetKey, source.size, start, true)
+            success()
+          }).catch(fail)
+        }
+      }
+    })
 
-        // Rename output key (if necessary)
-        targetKey = this.target.rename ? this.rename(targetKey) : targetKey
+    // Objects waiting to be deleted, with their `done` callbacks, and the
+    // number of objects being processed
+    let removals = []
+    let active = 0
+
+    // Delete the waiting objects with deleteObjects, one request per bucket,
+    // and call back for each of them with its own error, if any. Listed
+    // versions are deleted, rather than the current version of their key.
+    const id = (key, versionId) => `${key}?${versionId || ''}`
+    const flush = () => {
+      const byBucket = new Map()
+      removals.forEach((removal) => {
+        const bucket = removal.source.bucket
+        byBucket.set(bucket, (byBucket.get(bucket) || []).concat(removal))
+      })
+      removals = []
+
+      byBucket.forEach((pending, bucket) => {
+        const keys = pending.map((removal) => {
+          const source = removal.source
+          return source.versionId ? { key: source.key, versionId: source.versionId } : source.key
+        })
+        this.s3.deleteObjects(bucket, keys).then((res) => {
+          const errors = new Map(res.Errors.map(error => [id(error.Key, error.VersionId), error]))
+          pending.forEach((removal) => {
+            const source = removal.source
+            const error = errors.get(id(source.key, source.versionId)) || errors.get(id(source.key))
+            if (error) {
+              const reason = error.Message || error.Code || 'unknown error'
+              const err = new Error(`failed to delete s3://${bucket}/${error.Key}: ${reason}`)
+              err.code = error.Code
+              removal.done(err, 'delete')
+            } else {
+              this.track('deleted', removal.source, { bucket, key: removal.source.key })
+              removal.done()
+            }
+          })
+        }, (err) => {
+          pending.forEach(removal => removal.done(err, 'delete'))
+        })
+      })
+    }
 
-        this.s3.copy(bucket, key, targetBucket, targetKey)
-          .then(() => success())
-          .catch(fail)
+    // Flush once a batch is full, or once every object being processed is
+    // waiting to be deleted, since no more removals can come until then
+    const flushIfReady = () => {
+      if (removals.length >= DELETE_BATCH_SIZE ||
+        (removals.length > 0 && removals.length === active)) {
+        flush()
       }
-    })
+    }
 
     // Remove a file when filtering
-    const remove = source => new Promise((success, fail) => {
+    const remove = (source, body, done) => {
       if (this.target == null) {
 
         // For inplace filtering, we remove the actual file
-        this.s3.delete(source.bucket, source.key)
-          .then(() => success())
-          .catch(fail)
+        if (this.opts.dryRun) {
+          this.addToPlan(plan, source, {
+            action: 'delete',
+            bucket: source.bucket,
+            key: source.key,
+            versionId: source.versionId,
+            size: byteLength(body)
+          })
+          done()
+        } else {
+          removals.push({ source, done })
+          flushIfReady()
+        }
       } else {
 
         // If output is specified, there is nothing else to do, since we are
         // simply not copying the file anywhere
-        success()
+        done()
       }
-    })
+    }
 
     // Ensure the filter function returns a boolean
     const check = (result) => {
@@ -481,54 +1464,151 @@ class Request {
       }
     }
 
-    return new Promise((success, fail) => {
-      this.resolveSources().then((sources) => {
-
-        this.handleProgress(batch, sources.length)
-        const lastKey = sources[sources.length - 1]
-
-        // Loop over every key and run the filter function on each object. keep
-        // track of files to keep and remove.
-        sources.forEach((source) => {
-          const bucket = source.bucket
-          const key = source.key
-          const encoding = this.opts.encoding
-          const transformer = this.opts.transformer
-          batch.push((done) => {
-            this.s3.get(bucket, key, encoding, transformer).then((body) => {
-              if (isAsync) {
-                func(body, source).then((result) => {
-                  check(result)
-                  if (result) {
-                    keep(source).then(() => done()).catch(done)
-                  } else {
-                    remove(source).then(() => done()).catch(done)
-                  }
-                }).catch(done)
-              } else {
-                let result = null
-                result = func(body, source)
-                check(result)
-                if (result) {
-                  keep(source).then(() => done()).catch(done)
-                } else {
-                  remove(source).then(() => done()).catch(done)
-                }
-              }
-            }).catch(done)
-          })
+    // Keep or remove a file, depending on the filter result
+    const apply = (source, body, result, done) => {
+      check(result)
+      if (result) {
+        keep(source, body).then(() => done()).catch(err => done(err, 'copy'))
+      } else {
+        remove(source, body, done)
+      }
+    }
+
+    // Run the filter function on each object, keeping or removing it
+    return this.run((source, callback) => {
+      active++
+      let called = false
+      const done = (err, stage) => {
+        if (!called) {
+          called = true
+          active--
+          callback(err, stage)
+          flushIfReady()
+        }
+      }
+
+      this.fetch(source).then((body) => {
+        if (isAsync) {
+          func(body, source).then((result) => {
+            apply(source, body, result, done)
+          }).catch(err => done(err, 'function'))
+        } else {
+          apply(source, body, func(body, source), done)
+        }
+      }, err => done(err, 'get')).catch(err => done(err, 'function'))
+    }, null, this.opts.dryRun ? () => inListingOrder(plan) : null)
+  }
+
+  /**
+   * Copies the objects in the working context to the output location, server
+   * side, so their bodies never pass through the client. Use the rename
+   * function of output() to rename the copies.
+   *
+   * @return {Promise<Object>} Resolves after processing has completed,
+   * returning an object that contains the bucket, prefix, and key of the last
+   * S3 object that was copied. With dryRun(), resolves with the plan.
+   */
+
+  copy() {
+    if (this.target == null) {
+      throw new Error('must use output() to copy')
+    }
+
+    // Actions that would have been taken, in dry run mode
+    const plan = []
+
+    return this.run((source, done) => {
+      const targetBucket = this.target.bucket
+      const targetKey = this.outputKey(source)
+      if (this.opts.dryRun) {
+        this.addToPlan(plan, source, {
+          action: 'copy',
+          bucket: source.bucket,
+          key: source.key,
+          targetBucket,
+          targetKey,
+          size: source.size
         })
+        done()
+      } else {
+        const start = new Date()
+        const versionId = source.versionId
+        this.s3.copy(source.bucket, source.key, targetBucket, targetKey, source.size, versionId)
+          .then(() => {
+            this.trackWrite(source, targetBucket, targetKey, source.size, start, true)
+            done()
+          }, err => done(err, 'copy'))
+      }
+    }, null, this.opts.dryRun ? () => inListingOrder(plan) : null)
+  }
 
-        // Resolve error or last source processed
-        batch.end((err) => {
-          if (err) {
-            fail(err)
-          } else {
-            success(lastKey)
-          }
+  /**
+   * Restores the versions of the objects in the working context, by copying
+   * each one over its own key, server side, so it becomes the current
+   * version again. Objects whose listed version is already current are left
+   * as is. Requires contexts that list versions, with `asOf` or `versions`.
+   *
+   * @return {Promise<Object>} Resolves after processing has completed,
+   * returning an object that contains the bucket, prefix, and key of the last
+   * S3 object that was restored. With dryRun(), resolves with the plan.
+   */
+
+  restore() {
+    if (this.contexts.some(context => context.asOf == null && !context.versions)) {
+      throw new Error('restore() requires contexts with asOf or versions')
+    }
+
+    // Actions that would have been taken, in dry run mode
+    const plan = []
+
+    return this.run((source, done) => {
+      if (source.isLatest) {
+        done()
+      } else if (this.opts.dryRun) {
+        this.addToPlan(plan, source, {
+          action: 'restore',
+          bucket: source.bucket,
+          key: source.key,
+          versionId: source.versionId,
+          size: source.size
         })
-      }).catch(fail)
-    })
+        done()
+      } else {
+        const start = new Date()
+        const versionId = source.versionId
+        this.s3.copy(source.bucket, source.key, source.bucket, source.key, source.size, versionId)
+          .then(() => {
+            this.trackWrite(source, source.bucket, source.key, source.size, start, true)
+            done()
+          }, err => done(err, 'copy'))
+      }
+    }, null, this.opts.dryRun ? () => inListingOrder(plan) : null)
+  }
+
+  /**
+   * Lists the sub-folders (CommonPrefixes) of each context, without listing
+   * the objects inside them. Use it to discover partitions, such as
+   * `date=2017-03-01/`, and fan out a context for each one.
+   *
+   * With a glob, sub-folders are listed from where the glob starts, and
+   * only those that can hold matching keys are kept, along with the glob.
+   *
+   * @return {Promise<Array<Object>>} Resolves with a context for each
+   * sub-folder, with the bucket and other options of its parent context,
+   * but not where the parent is listed from (marker, start, end, etc.)
+   */
+
+  folders() {
+    const listings = this.contexts.map(context => (
+      this.s3.contextFolders(context).then(prefixes => prefixes.map((prefix) => {
+        const sub = subContext(context, prefix)
+        if (context.glob != null) {
+          sub.glob = context.glob
+        }
+        return sub
+      }))
+    ))
+    return Promise.all(listings).then(lists => [].concat(...lists))
   }
 }
 
@@ -10,6 +10,185 @@
 
 const s3Mock = require('mock-aws-s3')
 const aws = require('aws-sdk')
+const PassThrough = require('stream').PassThrough
+const ListStream = require('./ListStream')
+const TokenBucket = require('./TokenBucket')
+const streams = require('./streams')
+const codecs = require('./codecs')
+const logger = require('./logger')
+
+/**
+ * S3 rejects multipart upload parts smaller than 5 MB (except the last one).
+ */
+
+const MIN_PART_SIZE = 5 * 1024 * 1024
+
+/**
+ * A single deleteObjects request takes at most 1000 keys.
+ */
+
+const MAX_DELETE_KEYS = 1000
+
+/**
+ * Objects larger than 5 GB can't be copied with a single copyObject request,
+ * so they are copied in parts of at least 1 GB. A multipart upload has at
+ * most 10000 parts.
+ */
+
+const MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024
+const COPY_PART_SIZE = 1024 * 1024 * 1024
+const MAX_PARTS = 10000
+
+/**
+ * Requests that clean up after a failure, which an aborted instance still
+ * sends.
+ */
+
+const CLEANUP_METHODS = ['abortMultipartUpload']
+
+/**
+ * Errors worth retrying: throttling, timeouts, server and network errors.
+ */
+
+const THROTTLE_CODES = ['SlowDown', 'Throttling', 'ThrottlingException', 'RequestLimitExceeded',
+  'TooManyRequests', 'ProvisionedThroughputExceededException']
+const RETRYABLE_CODES = THROTTLE_CODES.concat(['RequestTimeout', 'RequestTimeoutException',
+  'InternalError', 'ServiceUnavailable', 'TimeoutError', 'NetworkingError', 'ECONNRESET',
+  'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'])
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504]
+
+/**
+ * Requests that aren't retried: managed uploads retry their own parts, and
+ * their body can be a stream, which can't be sent twice. They are sent with
+ * an S3 instance that keeps the aws sdk's retries.
+ */
+
+const NO_RETRY_METHODS = ['upload']
+
+/**
+ * The rate limit each aws sdk operation counts against.
+ */
+
+const RATE_LIMITS = {
+  getObject: 'get',
+  headObject: 'get',
+  putObject: 'put',
+  upload: 'put',
+  copyObject: 'put',
+  createMultipartUpload: 'put',
+  uploadPartCopy: 'put',
+  completeMultipartUpload: 'put',
+  listObjectsV2: 'list',
+  listObjects: 'list',
+  listObjectVersions: 'list',
+  deleteObject: 'delete',
+  deleteObjects: 'delete',
+  abortMultipartUpload: 'delete'
+}
+
+/**
+ * Returns the size of a body in bytes.
+ *
+ * @param {Buffer|String} body The body
+ * @param {String} [encoding='utf8'] The encoding of string bodies
+ * @return {Number}
+ */
+
+function byteLength(body, encoding) {
+  if (body == null) {
+    return 0
+  }
+  return Buffer.isBuffer(body) ? body.length : Buffer.byteLength(String(body), encoding)
+}
+
+/**
+ * Creates the error requests fail with when they are aborted before they
+ * are sent.
+ *
+ * @return {Error}
+ */
+
+function abortedError() {
+  const err = new Error('Request aborted')
+  err.code = 'RequestAbortedError'
+  return err
+}
+
+/**
+ * Whether an error means S3 is throttling requests.
+ *
+ * @param {Error} err The error
+ * @return {Boolean}
+ */
+
+function isThrottle(err) {
+  if (err == null || typeof err !== 'object') {
+    return false
+  }
+  return THROTTLE_CODES.indexOf(err.code) > -1 || err.statusCode === 503 || err.statusCode === 429
+}
+
+/**
+ * Whether a request that failed with an error is worth retrying. Aborted
+ * requests never are.
+ *
+ * @param {Error} err The error
+ * @return {Boolean}
+ */
+
+function isRetryable(err) {
+  if (err == null || typeof err !== 'object') {
+    return false
+  }
+  if (err.code === 'RequestAborted' || err.code === 'RequestAbortedError') {
+    return false
+  }
+  return err.retryable === true || RETRYABLE_CODES.indexOf(err.code) > -1 ||
+    RETRYABLE_STATUS.indexOf(err.statusCode) > -1
+}
+
+/**
+ * Whether an error means the store doesn't support a request, as some
+ * S3-compatible stores answer ListObjectsV2.
+ *
+ * @param {Error} err The error
+ * @return {Boolean}
+ */
+
+function isUnsupported(err) {
+  const codes = ['NotImplemented', 'MethodNotAllowed', 'NotSupported']
+  return codes.indexOf(err.code) > -1 || err.statusCode === 501 || err.statusCode === 405
+}
+
+/**
+ * Formats the CopySource of a copy request, for the given version of the
+ * object, or its current version.
+ *
+ * @param {String} bucket The source bucket
+ * @param {String} key The source key
+ * @param {String} [versionId] The version to copy
+ * @return {String}
+ */
+
+function copySource(bucket, key, versionId) {
+  const source = `${bucket}/${encodeURIComponent(key)}`
+  return versionId ? `${source}?versionId=${encodeURIComponent(versionId)}` : source
+}
+
+/**
+ * Adds the VersionId of an object version to request params, if set.
+ *
+ * @param {Object} params The request params
+ * @param {String} [versionId] The version of the object
+ * @return {Object} The params
+ */
+
+function withVersion(params, versionId) {
+  if (versionId) {
+    params.VersionId = versionId
+  }
+  return params
+}
 
 class S3 {
 
@@ -21,19 +200,66 @@ class S3 {
    * system's default credentials.
    * @param {String} [config.accessKeyId=null] AWS Access Key
    * @param {String} [config.secretAccessKey=null] AWS Secret Key
-   * @param {Integer} [config.maxRetries=30] Max retries allowed for aws api requets
+   * @param {Integer} [config.maxRetries=10] Max retries of the parts of
+   * multipart uploads, and of other requests unless `retries` is set
    * @param {Integer} [config.timeout=120] Timeout allowed for aws api requests
    * @param {Boolean} [config.verbose=false] Whether to use verbose mode when making requets
+   * @param {Object} [config.logger] A logger with debug, info, warn and error
+   * methods, which take a message and structured fields (operation, bucket,
+   * key, duration, etc.). It gets every message, verbose or not. Defaults to
+   * the console, in verbose mode.
+   * @param {Integer} [config.multipartThreshold=100mb] Size in bytes above
+   * which put uses a multipart upload
+   * @param {Integer} [config.partSize=8mb] Size in bytes of each part of a
+   * multipart upload (at least 5mb)
+   * @param {Integer} [config.queueSize=4] Number of parts uploaded in parallel
+   * @param {Boolean} [config.listObjectsV2=true] Whether to list with
+   * ListObjectsV2. Set to false for stores known not to support it.
+   * @param {Integer} [config.retries=maxRetries] Number of times a request
+   * that fails with a retryable error (throttling, timeouts, server errors)
+   * is retried
+   * @param {Integer} [config.retryDelay=100] Base delay before a retry, in
+   * ms. It doubles with each retry, and a random delay up to it is used.
+   * @param {Integer} [config.maxRetryDelay=20000] Maximum delay before a
+   * retry, in ms
+   * @param {Object} [config.retryOperations] Overrides of `retries`,
+   * `retryDelay` and `maxRetryDelay` by aws sdk operation, eg.
+   * `{ putObject: { retries: 10 } }`
+   * @param {Number} [config.getsPerSecond] Rate limit of GET requests
+   * @param {Number} [config.putsPerSecond] Rate limit of PUT (and copy)
+   * requests
+   * @param {Number} [config.listsPerSecond] Rate limit of LIST requests
+   * @param {Number} [config.deletesPerSecond] Rate limit of DELETE requests
+   * @param {Number} [config.bytesPerSecond] Rate limit of the bytes
+   * downloaded and uploaded
    */
 
   constructor(config) {
     this.verbose = config.verbose || false
+    this.logger = config.logger ? logger.check(config.logger) : logger.console(this.verbose)
+    this.hasLogger = config.logger != null
     this.encoding = config.encoding || 'utf8'
+    this.multipartThreshold = config.multipartThreshold || 100 * 1024 * 1024
+    this.partSize = config.partSize || 8 * 1024 * 1024
+    this.queueSize = config.queueSize || 4
+    this.listV2 = config.listObjectsV2 !== false
+    const maxRetries = config.maxRetries == null ? 10 : config.maxRetries
+    this.retries = config.retries == null ? maxRetries : config.retries
+    this.retryDelay = config.retryDelay == null ? 100 : config.retryDelay
+    this.maxRetryDelay = config.maxRetryDelay == null ? 20000 : config.maxRetryDelay
+    this.retryOperations = config.retryOperations || {}
+    this.throttles = 0
+    this.pages = 0
+    this.setRateLimits(config)
+    if (this.partSize < MIN_PART_SIZE) {
+      throw new Error(`partSize must be at least ${MIN_PART_SIZE} bytes`)
+    }
     if (config.localPath) {
 
       // use local files (using mock aws sdk)
       s3Mock.config.basePath = config.localPath
       this.s3Instance = new s3Mock.S3()
+      this.uploader = this.s3Instance
     } else {
 
       // use the aws sdk. attempt to use aws credentials in config.  if they
@@ -45,16 +271,282 @@ class S3 {
         })
       }
 
-      // Create AWS S3 object
-      this.s3Instance = new aws.S3({
-        maxRetries: config.maxRetries || 10,
+      // Create AWS S3 objects. Requests are retried attempt by attempt (see
+      // retrying), so the aws sdk doesn't retry them too, and throttling is
+      // counted as it happens. Managed uploads retry their own parts.
+      const client = retries => new aws.S3({
+        maxRetries: retries,
         signatureVersion: config.signatureVersion || 'v4',
         httpOptions: {
           timeout: config.timeout || 10000
         },
         apiVersion: '2006-03-01'
       })
+      this.s3Instance = client(0)
+      this.uploader = client(maxRetries)
+    }
+    this.s3Instance = this.retrying(this.s3Instance)
+  }
+
+  /**
+   * Sets the rate limits of this instance. Limits are token buckets shared by
+   * every request sent with this instance, including the requests of every
+   * batch request created from it. Up to a second's worth of requests (or
+   * bytes) can be sent at once.
+   *
+   * @param {Object} limits The limits, per second. Limits that are left out
+   * are lifted.
+   * @param {Number} [limits.getsPerSecond] GET requests per second
+   * @param {Number} [limits.putsPerSecond] PUT (and copy) requests per
+   * second
+   * @param {Number} [limits.listsPerSecond] LIST requests per second
+   * @param {Number} [limits.deletesPerSecond] DELETE requests per second
+   * @param {Number} [limits.bytesPerSecond] Bytes downloaded and uploaded
+   * per second
+   * @return {S3} The instance on which this method was called.
+   */
+
+  setRateLimits(limits) {
+    const bucket = rate => (rate == null ? null : new TokenBucket(rate))
+    this.rateLimits = {
+      get: bucket(limits.getsPerSecond),
+      put: bucket(limits.putsPerSecond),
+      list: bucket(limits.listsPerSecond),
+      delete: bucket(limits.deletesPerSecond),
+      bytes: bucket(limits.bytesPerSecond)
+    }
+    return this
+  }
+
+  /**
+   * Waits for the rate limit of an aws sdk operation.
+   *
+   * @private
+   * @param {String} operation The name of the operation, eg. getObject
+   * @return {Promise} Resolves once the request can be sent, or null if the
+   * operation isn't limited
+   */
+
+  rateLimit(operation) {
+    const limit = this.rateLimits[RATE_LIMITS[operation]]
+    return limit ? limit.take() : null
+  }
+
+  /**
+   * Waits for the bandwidth limit to transfer bytes.
+   *
+   * @private
+   * @param {Number} bytes The number of bytes
+   * @return {Promise} Resolves once the bytes can be transferred
+   */
+
+  transfer(bytes) {
+    const limit = this.rateLimits.bytes
+    return limit && bytes > 0 ? limit.take(bytes) : Promise.resolve()
+  }
+
+  /**
+   * Slows a byte stream down to the bandwidth limit, if any.
+   *
+   * @private
+   * @param {Readable} stream The stream
+   * @return {Readable}
+   */
+
+  throttle(stream) {
+    const limit = this.rateLimits.bytes
+    return limit ? limit.throttle(stream) : stream
+  }
+
+  /**
+   * Logs a message.
+   *
+   * @param {String} level The level of the message: debug, info, warn, or
+   * error
+   * @param {String} message The message
+   * @param {Object} [fields] Structured fields, such as the operation,
+   * bucket, key and duration in ms
+   */
+
+  log(level, message, fields) {
+    this.logger[level](message, fields || {})
+  }
+
+  /**
+   * Gets the retry policy of an aws sdk operation.
+   *
+   * @param {String} operation The name of the operation, eg. getObject
+   * @return {Object} The number of `retries`, and the `retryDelay` and
+   * `maxRetryDelay` in ms
+   */
+
+  retryPolicy(operation) {
+    return Object.assign({
+      retries: this.retries,
+      retryDelay: this.retryDelay,
+      maxRetryDelay: this.maxRetryDelay
+    }, this.retryOperations[operation])
+  }
+
+  /**
+   * Wraps an aws sdk S3 instance so requests that fail with a retryable error
+   * are retried, with exponential backoff and full jitter. Throttling errors
+   * are counted in `throttles`, so requests can adapt their concurrency.
+   *
+   * @private
+   * @param {Object} instance The aws sdk (or mock) S3 instance
+   * @return {Object} The wrapped instance. Requests sent with a callback
+   * return a handle with an `abort()` method, which also cancels retries.
+   */
+
+  retrying(instance) {
+    return new Proxy(instance, {
+      get: (target, name) => {
+        const method = target[name]
+        if (NO_RETRY_METHODS.indexOf(name) > -1) {
+          return this.uploader[name].bind(this.uploader)
+        }
+        if (typeof method !== 'function') {
+          return method
+        }
+        return (...args) => {
+          const last = args.length - 1
+          if (typeof args[last] !== 'function') {
+            return method.apply(target, args)
+          }
+          const callback = args[last]
+          const policy = this.retryPolicy(name)
+          let request = null
+          let timer = null
+          let waiting = false
+          let aborted = false
+
+          // Every attempt waits for the rate limit, if any
+          const attempt = (retry) => {
+            const send = () => {
+              request = method.apply(target, args.slice(0, last).concat([(err, res) => {
+                if (isThrottle(err)) {
+                  this.throttles++
+                }
+                if (!aborted && retry < policy.retries && isRetryable(err)) {
+                  const cap = Math.min(policy.maxRetryDelay, policy.retryDelay * (2 ** retry))
+                  const delay = Math.floor(Math.random() * cap)
+                  this.log('warn', `RETRY ${name} in ${delay}ms after ${err.code || err.statusCode}`, {
+                    operation: name,
+                    retry: retry + 1,
+                    delay,
+                    error: err.code || err.statusCode
+                  })
+                  timer = setTimeout(() => {
+                    timer = null
+                    attempt(retry + 1)
+                  }, delay)
+                } else {
+                  callback(err, res)
+                }
+              }]))
+            }
+
+            const limited = this.rateLimit(name)
+            if (limited == null) {
+              send()
+              return
+            }
+            waiting = true
+            limited.then(() => {
+              waiting = false
+              if (aborted) {
+                callback(abortedError())
+              } else {
+                send()
+              }
+            })
+          }
+          attempt(0)
+
+          return {
+            abort: () => {
+              aborted = true
+
+              // Requests waiting for the rate limit fail once it lets them
+              // through. Requests waiting to be retried fail right away.
+              if (timer != null) {
+                clearTimeout(timer)
+                timer = null
+                callback(abortedError())
+              } else if (!waiting && request && typeof request.abort === 'function') {
+                request.abort()
+              }
+            }
+          }
+        }
+      }
+    })
+  }
+
+  /**
+   * Creates a view of this instance whose S3 requests can all be aborted at
+   * once. It shares the config and methods of this instance, and keeps track
+   * of the requests it sends until they complete, and of the listing `pages`
+   * it fetches.
+   *
+   * @return {S3} The view, with an `abort(err)` method that aborts the
+   * requests in flight, and fails any request sent from then on with `err`
+   * (except to clean up, eg. abortMultipartUpload)
+   */
+
+  abortable() {
+    const view = Object.create(this)
+    const inflight = new Set()
+    view.pages = 0
+    let aborted = null
+
+    view.s3Instance = new Proxy(this.s3Instance, {
+      get: (target, name) => {
+        const method = target[name]
+        if (typeof method !== 'function') {
+          return method
+        }
+        return (...args) => {
+          const last = args.length - 1
+          const callback = typeof args[last] === 'function' ? args[last] : null
+          if (aborted && CLEANUP_METHODS.indexOf(name) === -1) {
+            if (!callback) {
+              throw aborted
+            }
+            process.nextTick(() => callback(aborted))
+            return null
+          }
+
+          // Stop tracking requests once they complete. The local mock calls
+          // back before returning.
+          let request = null
+          let settled = false
+          if (callback) {
+            args[last] = (...res) => {
+              settled = true
+              inflight.delete(request)
+              callback(...res)
+            }
+          }
+          request = method.apply(target, args)
+          if (request && typeof request.abort === 'function' && !settled) {
+            inflight.add(request)
+            if (!callback && typeof request.on === 'function') {
+              request.on('complete', () => inflight.delete(request))
+            }
+          }
+          return request
+        }
+      }
+    })
+
+    view.abort = (err) => {
+      aborted = err
+      inflight.forEach(request => request.abort())
+      inflight.clear()
     }
+    return view
   }
 
   /**
@@ -65,10 +557,17 @@ class S3 {
    * @param {Function} [transformer] - If supplied, this function will be
    * run on Object.Body before returning. Useful for dealing with compressed
    * files or weird formats
+   * @param {String} [compression] - The codec (gzip, bzip2, or zstd) to
+   * decompress Object.Body with before transforming it, or 'auto' to detect
+   * it from the object's ContentEncoding or key extension
+   * @param {String} [versionId] - The version of the object to get. Defaults
+   * to its current version.
+   * @param {Number} [size] - The size of the object, if it is known (eg. from
+   * listing it). Otherwise, it is looked up under a bandwidth limit.
    * @returns {Promise} The s3 text object.
    */
 
-  get(bucket, key, encoding, transformer) {
+  get(bucket, key, encoding, transformer, compression, versionId, size) {
 
     // Default transform is to assume a text file, and call toString()
     // with the set encoding
@@ -76,50 +575,132 @@ class S3 {
       transformer = obj => obj.Body.toString(encoding || this.encoding)
     }
 
-    return new Promise((success, fail) => {
-      this.s3Instance.getObject({
+    const start = Date.now()
+    return this.reserve(bucket, key, versionId, size).then(() => new Promise((success, fail) => {
+      this.s3Instance.getObject(withVersion({
         Bucket: bucket,
         Key: key
-      }, (err, object) => {
+      }, versionId), (err, object) => {
         if (err) {
           fail(err)
         } else {
-          try {
-            success(transformer(object, key))
-            if (this.verbose) {
-              console.info(`GET OBJECT s3://${bucket}/${key}`)
-            }
-          } catch (e) {
-            fail(e)
-          }
+          const bytes = object.ContentLength != null
+            ? object.ContentLength
+            : byteLength(object.Body)
+          const decoded = Promise.resolve(object).then(obj => (compression
+            ? codecs.decode(compression, obj, key)
+            : obj))
+          decoded.then(obj => transformer(obj, key)).then((body) => {
+            success(body)
+            this.log('debug', `GET OBJECT s3://${bucket}/${key}`, {
+              operation: 'getObject',
+              bucket,
+              key,
+              versionId,
+              bytes,
+              duration: Date.now() - start
+            })
+          }).catch(fail)
         }
       })
-    })
+    }))
+  }
+
+  /**
+   * Waits for the bandwidth limit to download an object, before it is
+   * requested. Objects of unknown size are looked up first.
+   *
+   * @private
+   * @param {String} bucket The bucket
+   * @param {String} key The key
+   * @param {String} [versionId] The version of the object
+   * @param {Number} [size] The size of the object, if it is known
+   * @return {Promise} Resolves once the object can be downloaded
+   */
+
+  reserve(bucket, key, versionId, size) {
+    if (!this.rateLimits.bytes) {
+      return Promise.resolve()
+    }
+    if (size != null) {
+      return this.transfer(size)
+    }
+    return new Promise((success, fail) => {
+      this.s3Instance.headObject(withVersion({
+        Bucket: bucket,
+        Key: key
+      }, versionId), (err, head) => (err ? fail(err) : success(head.ContentLength)))
+    }).then(length => this.transfer(length))
   }
 
   /**
-   * Puts a text object in S3.
+   * Puts a text object in S3. Bodies larger than the multipart threshold are
+   * uploaded in parts.
    *
    * @param {String} bucket - The s3 bucket to use
    * @param {String} key - The key path where the object will be placed
    * @param {String} body - The object body
+   * @param {String} [encoding] - The encoding of the body
+   * @param {String} [compression] - The codec (gzip, bzip2, or zstd) to
+   * compress the body with. Sets the object's ContentEncoding accordingly.
    * @return {Promise} Promise that resolves when the object is written to s3
    */
 
-  put(bucket, key, body) {
+  put(bucket, key, body, encoding, compression) {
+    encoding = encoding || this.encoding
+
+    const params = {
+      ContentEncoding: encoding,
+      Bucket: bucket,
+      Body: body,
+      Key: key
+    }
+
+    let prepared = Promise.resolve(params)
+    if (compression) {
+      const contentType = typeof body === 'string' ? 'text/plain' : 'application/octet-stream'
+      prepared = codecs.encode(compression, body, encoding).then(compressed => (
+        Object.assign(params, {
+          ContentEncoding: codecs.get(compression).contentEncoding,
+          ContentType: contentType,
+          Body: compressed
+        })
+      ))
+    }
+
+    return prepared.then((putParams) => {
+      if (putParams.Body != null && typeof putParams.Body.pipe === 'function') {
+        return this.multipartUpload(putParams)
+      }
+      const size = byteLength(putParams.Body, encoding)
+      if (size > this.multipartThreshold) {
+        return this.multipartUpload(putParams)
+      }
+      return this.transfer(size).then(() => this.putObject(putParams))
+    })
+  }
+
+  /**
+   * Writes an object with a single putObject request.
+   *
+   * @private
+   * @param {Object} params The putObject params
+   * @return {Promise} Resolves when the object is written to s3
+   */
+
+  putObject(params) {
+    const start = Date.now()
     return new Promise((success, fail) => {
-      this.s3Instance.putObject({
-        ContentEncoding: this.encoding,
-        Bucket: bucket,
-        Body: body,
-        Key: key
-      }, (err, res) => {
+      this.s3Instance.putObject(params, (err, res) => {
         if (err) {
           fail(err)
         } else {
-          if (this.verbose) {
-            console.info(`PUT OBJECT s3://${bucket}/${key}`)
-          }
+          this.log('debug', `PUT OBJECT s3://${params.Bucket}/${params.Key}`, {
+            operation: 'putObject',
+            bucket: params.Bucket,
+            key: params.Key,
+            duration: Date.now() - start
+          })
           success(res)
         }
       })
@@ -127,32 +708,311 @@ class S3 {
   }
 
   /**
-   * Copies an object in S3.
+   * Writes an object with a multipart upload, `queueSize` parts at a time.
+   * If any part fails, the upload is aborted so no incomplete parts are left
+   * behind.
+   *
+   * @private
+   * @param {Object} params The putObject params. Body can be a stream.
+   * @return {Promise} Resolves when the object is written to s3
+   */
+
+  multipartUpload(params) {
+
+    // Managed uploads aren't sent through the rate limits of the S3 instance,
+    // so they wait for them here. Stream bodies are throttled as they are
+    // read.
+    let ready = this.rateLimit('upload') || Promise.resolve()
+    if (params.Body != null && typeof params.Body.pipe === 'function') {
+      params = Object.assign({}, params, {
+        Body: this.throttle(params.Body)
+      })
+    } else {
+      const size = byteLength(params.Body)
+      ready = ready.then(() => this.transfer(size))
+    }
+
+    const start = Date.now()
+    return ready.then(() => new Promise((success, fail) => {
+      const options = {
+        partSize: this.partSize,
+        queueSize: this.queueSize,
+        leavePartsOnError: false
+      }
+      this.s3Instance.upload(params, options, (err, res) => {
+        if (err) {
+          fail(err)
+        } else {
+          this.log('debug', `UPLOAD OBJECT s3://${params.Bucket}/${params.Key}`, {
+            operation: 'upload',
+            bucket: params.Bucket,
+            key: params.Key,
+            duration: Date.now() - start
+          })
+          success(res)
+        }
+      })
+    }))
+  }
+
+  /**
+   * Gets an object in s3 as a readable stream, for objects too large to
+   * buffer.
+   *
+   * @param {String} bucket - The bucket to get from
+   * @param {String} key - The key of the object to get
+   * @param {String} [compression] - The codec (gzip or zstd) to decompress
+   * the stream with, or 'auto' to detect it from the object's
+   * ContentEncoding or key extension
+   * @param {String} [versionId] - The version of the object to get
+   * @returns {Promise<Readable>} Resolves with the object body stream once
+   * the object is found
+   */
+
+  getStream(bucket, key, compression, versionId) {
+    const start = Date.now()
+    const limited = this.rateLimit('getObject') || Promise.resolve()
+    return limited.then(() => new Promise((success, fail) => {
+      const request = this.s3Instance.getObject(withVersion({
+        Bucket: bucket,
+        Key: key
+      }, versionId))
+      const body = request.createReadStream()
+
+      const ready = (contentEncoding) => {
+        body.removeListener('error', fail)
+        const codec = compression === 'auto' ? codecs.detect(key, contentEncoding) : compression
+        try {
+          const throttled = this.throttle(body)
+          success(codec ? codecs.decodeStream(codec, throttled) : throttled)
+        } catch (e) {
+          body.destroy()
+          fail(e)
+          return
+        }
+        this.log('debug', `GET OBJECT s3://${bucket}/${key}`, {
+          operation: 'getObject',
+          bucket,
+          key,
+          versionId,
+          duration: Date.now() - start
+        })
+      }
+
+      body.once('error', fail)
+      if (typeof request.on === 'function') {
+        request.on('httpHeaders', (statusCode, headers) => {
+          if (statusCode < 300) {
+            ready(headers['content-encoding'])
+          }
+        })
+      } else {
+
+        // The local mock doesn't emit request events
+        ready()
+      }
+    }))
+  }
+
+  /**
+   * Uploads an object to S3 from a readable stream (or a buffer or string),
+   * using a multipart upload so the body never has to be held in memory.
+   * Part size and parallelism are set by the partSize and queueSize config.
+   *
+   * @param {String} bucket - The s3 bucket to use
+   * @param {String} key - The key path where the object will be placed
+   * @param {Readable|Buffer|String} body - The object body
+   * @param {String} [compression] - The codec (gzip or zstd) to compress the
+   * stream with. Sets the object's ContentEncoding accordingly.
+   * @return {Promise} Promise that resolves when the object is written to s3
+   */
+
+  upload(bucket, key, body, compression) {
+    const params = {
+      Bucket: bucket,
+      Key: key,
+      Body: body
+    }
+    if (compression) {
+      let stream = body
+      if (typeof body.pipe !== 'function') {
+        stream = new PassThrough()
+        stream.end(body)
+      }
+      try {
+        params.Body = codecs.encodeStream(compression, stream)
+      } catch (e) {
+        return Promise.reject(e)
+      }
+      params.ContentEncoding = codecs.get(compression).contentEncoding
+      params.ContentType = 'application/octet-stream'
+    }
+    return this.multipartUpload(params)
+  }
+
+  /**
+   * Copies an object in S3, server side. Objects over 5 GB, the most a single
+   * copyObject request takes, are copied with a multipart copy.
    *
    * @public
    * @param {String} bucket The source bucket
    * @param {String} key The source key
    * @param {String} targetBucket The target bucket
    * @param {String} targetKey The target key
+   * @param {Number} [size] The size of the object in bytes, if known. If not,
+   * a multipart copy is only used once copyObject rejects the object as too
+   * large.
+   * @param {String} [versionId] The version of the object to copy. Defaults
+   * to its current version.
    * @return {Promise}
    */
 
-  copy(bucket, key, targetBucket, targetKey) {
+  copy(bucket, key, targetBucket, targetKey, size, versionId) {
+    if (size > MAX_COPY_SIZE) {
+      return this.multipartCopy(bucket, key, targetBucket, targetKey, versionId)
+    }
+    const start = Date.now()
     return new Promise((success, fail) => {
       this.s3Instance.copyObject({
         Bucket: targetBucket,
         Key: targetKey,
-        CopySource: `${bucket}/${key}`
+        CopySource: copySource(bucket, key, versionId)
       }, (err) => {
         if (err) {
           fail(err)
         } else {
-          if (this.verbose) {
-            console.info(`COPY OBJECT s3://${bucket}/${key} --> s3://${targetBucket}/${targetKey}`)
-          }
+          this.log('debug', `COPY OBJECT s3://${bucket}/${key} --> s3://${targetBucket}/${targetKey}`, {
+            operation: 'copyObject',
+            bucket,
+            key,
+            versionId,
+            targetBucket,
+            targetKey,
+            duration: Date.now() - start
+          })
           success()
         }
       })
+    }).catch((err) => {
+      if (size == null && err.code === 'InvalidRequest' && /copy source is larger/.test(err.message)) {
+        return this.multipartCopy(bucket, key, targetBucket, targetKey, versionId)
+      }
+      throw err
+    })
+  }
+
+  /**
+   * Copies an object in S3 in parts, `queueSize` parts at a time. The
+   * object's headers and metadata are carried over, as copyObject does. If
+   * any part fails, the upload is aborted so no incomplete parts are left
+   * behind.
+   *
+   * @private
+   * @param {String} bucket The source bucket
+   * @param {String} key The source key
+   * @param {String} targetBucket The target bucket
+   * @param {String} targetKey The target key
+   * @param {String} [versionId] The version of the object to copy
+   * @return {Promise}
+   */
+
+  multipartCopy(bucket, key, targetBucket, targetKey, versionId) {
+    const call = (method, params) => new Promise((success, fail) => {
+      this.s3Instance[method](params, (err, res) => (err ? fail(err) : success(res)))
+    })
+    const target = {
+      Bucket: targetBucket,
+      Key: targetKey
+    }
+    let uploadId = null
+    const started = Date.now()
+
+    return call('headObject', withVersion({
+      Bucket: bucket,
+      Key: key
+    }, versionId)).then((head) => {
+      const headers = ['CacheControl', 'ContentDisposition', 'ContentEncoding', 'ContentLanguage',
+        'ContentType', 'Expires', 'Metadata', 'StorageClass']
+      const params = Object.assign({}, target)
+      headers.filter(header => head[header] != null).forEach((header) => {
+        params[header] = head[header]
+      })
+
+      return call('createMultipartUpload', params).then((upload) => {
+        uploadId = upload.UploadId
+
+        // Parts can't be smaller than the part size, and there can't be more
+        // than 10000 of them
+        const size = head.ContentLength
+        const partSize = Math.max(COPY_PART_SIZE, Math.ceil(size / MAX_PARTS))
+        const parts = []
+        for (let start = 0; start < size; start += partSize) {
+          parts.push({
+            PartNumber: parts.length + 1,
+            CopySourceRange: `bytes=${start}-${Math.min(start + partSize, size) - 1}`
+          })
+        }
+
+        // Copy `queueSize` parts at a time. After a failure, parts in flight
+        // are left to settle before the upload is aborted.
+        const etags = []
+        let next = 0
+        let error = null
+        const copyParts = () => {
+          if (error || next === parts.length) {
+            return Promise.resolve()
+          }
+          const part = parts[next++]
+          return call('uploadPartCopy', Object.assign({
+            CopySource: copySource(bucket, key, versionId),
+            UploadId: uploadId
+          }, target, part)).then((res) => {
+            etags[part.PartNumber - 1] = {
+              ETag: res.CopyPartResult.ETag,
+              PartNumber: part.PartNumber
+            }
+            return copyParts()
+          }, (err) => {
+            error = error || err
+          })
+        }
+        const queue = []
+        for (let i = 0; i < Math.min(this.queueSize, parts.length); i++) {
+          queue.push(copyParts())
+        }
+        return Promise.all(queue).then(() => {
+          if (error) {
+            throw error
+          }
+          return call('completeMultipartUpload', Object.assign({
+            UploadId: uploadId,
+            MultipartUpload: {
+              Parts: etags
+            }
+          }, target))
+        })
+      })
+    }).then(() => {
+      this.log('debug', `COPY OBJECT s3://${bucket}/${key} --> s3://${targetBucket}/${targetKey}`, {
+        operation: 'multipartCopy',
+        bucket,
+        key,
+        versionId,
+        targetBucket,
+        targetKey,
+        duration: Date.now() - started
+      })
+    }).catch((err) => {
+      if (uploadId == null) {
+        throw err
+      }
+      return call('abortMultipartUpload', Object.assign({
+        UploadId: uploadId
+      }, target)).then(() => {
+        throw err
+      }, () => {
+        throw err
+      })
     })
   }
 
@@ -162,43 +1022,86 @@ class S3 {
    * @public
    * @param {String} bucket - The bucket
    * @param {String|Array} key - The key to delete
+   * @param {String} [versionId] - The version to delete. Deleting a version
+   * removes it for good, while deleting an object in a versioned bucket
+   * only adds a delete marker.
    * @returns {Promise} The key (or array of keys) that was deleted.
    */
 
-  delete(bucket, key) {
+  delete(bucket, key, versionId) {
+    const start = Date.now()
     return new Promise((success, fail) => {
-      this.s3Instance.deleteObject({
+      this.s3Instance.deleteObject(withVersion({
         Bucket: bucket,
         Key: key
-      }, (err) => {
+      }, versionId), (err) => {
         if (err) {
           fail(err)
         } else {
           success()
-          if (this.verbose) {
-            console.info(`DELETE OBJECT s3://${bucket}/${key}`)
-          }
+          this.log('debug', `DELETE OBJECT s3://${bucket}/${key}`, {
+            operation: 'deleteObject',
+            bucket,
+            key,
+            versionId,
+            duration: Date.now() - start
+          })
         }
       })
     })
   }
 
   /**
-   * Deletes a list of objects in S3.
+   * Deletes a list of objects in S3, in batches of up to 1000 keys (the most
+   * a single deleteObjects request takes). Keys that could not be deleted
+   * don't reject the promise, they are listed in the `Errors` of the result.
    *
-   * @private
    * @param {String} bucket - The s3 bucket to use
-   * @param {Array} keys - The keys of the objects to delete
-   * @returns {Promise}
+   * @param {Array} keys - The keys of the objects to delete, or objects with
+   * the `key` and `versionId` of the versions to delete
+   * @returns {Promise<Object>} Resolves with the `Deleted` and `Errors` of
+   * every batch. Each error has the `Key`, `Code` and `Message` of the object
+   * that failed.
    */
 
   deleteObjects(bucket, keys) {
+    const batches = []
+    for (let i = 0; i < keys.length; i += MAX_DELETE_KEYS) {
+      batches.push(keys.slice(i, i + MAX_DELETE_KEYS))
+    }
+
+    const result = {
+      Deleted: [],
+      Errors: []
+    }
+    return batches.reduce((prev, batch) => prev
+      .then(() => this.deleteBatch(bucket, batch))
+      .then((res) => {
+        result.Deleted = result.Deleted.concat(res.Deleted || [])
+        result.Errors = result.Errors.concat(res.Errors || [])
+      }), Promise.resolve()).then(() => result)
+  }
 
-    // creates input with format: { Key: key } required by s3
-    const input = keys.map(key => ({
+  /**
+   * Deletes a single batch of objects in S3.
+   *
+   * @private
+   * @param {String} bucket - The s3 bucket to use
+   * @param {Array} keys - The keys (or versions) of the objects to delete
+   * (1000 at most)
+   * @returns {Promise<Object>} Resolves with the deleteObjects response
+   */
+
+  deleteBatch(bucket, keys) {
+
+    // creates input with format: { Key: key, VersionId: versionId } required by s3
+    const input = keys.map(key => (typeof key === 'string' ? {
       Key: key
-    }))
+    } : withVersion({
+      Key: key.key
+    }, key.versionId)))
 
+    const start = Date.now()
     return new Promise((success, fail) => {
       this.s3Instance.deleteObjects({
         Bucket: bucket,
@@ -206,15 +1109,24 @@ class S3 {
           Objects: input
         }
       }, (err, res) => {
-        if (err) {
+
+        // The local mock fails the whole request if any key fails, but still
+        // reports which ones did
+        if (err && !(res && res.Errors)) {
           fail(err)
         } else {
           success(res)
-          if (this.verbose) {
-            keys.forEach((key) => {
-              console.info(`DELETE OBJECT s3://${bucket}/${key}`)
+          const duration = Date.now() - start
+          const deletedKeys = res.Deleted || []
+          deletedKeys.forEach((deleted) => {
+            this.log('debug', `DELETE OBJECT s3://${bucket}/${deleted.Key}`, {
+              operation: 'deleteObjects',
+              bucket,
+              key: deleted.Key,
+              versionId: deleted.VersionId,
+              duration
             })
-          }
+          })
         }
       })
     })
@@ -231,89 +1143,333 @@ class S3 {
    */
 
   keys(bucket, prefix, endPrefix, marker) {
+    const objects = this.listStream(bucket, prefix, endPrefix, marker)
+    const keys = streams.map(objects, object => object.Key)
+    return streams.collect(keys).then(allKeys => allKeys.filter(key => key.length > 0))
+  }
 
-    endPrefix = endPrefix || ''
-    marker = marker || ''
+  /**
+   * Streams the objects in the given S3 folder. Pages are listed as the
+   * stream is consumed, circumventing AWS's 1000 limit without holding every
+   * key in memory.
+   *
+   * @param {String} bucket - The bucket
+   * @param {String} prefix - The prefix for the folder to list keys for
+   * @param {String} [endPrefix] Process all files up to (not including)
+   * this key, alphabetically
+   * @param {String} [marker] - The key to start listing after, alphabetically
+   * @param {Object} [options] A key range to list
+   * @param {String} [options.start] The first key of the range
+   * @param {Boolean} [options.startInclusive=true] Whether `start` itself is
+   * in the range
+   * @param {String} [options.end] The key that ends the range
+   * @param {Boolean} [options.endInclusive=false] Whether `end` itself is in
+   * the range
+   * @param {String} [options.delimiter] Only list the objects directly in
+   * the folder, and not in its sub-folders
+   * @param {Boolean} [options.versions=false] List every version and delete
+   * marker of the objects (see listVersionsPage)
+   * @returns {ListStream} A readable stream of the objects (as returned in
+   * `Contents` by listObjects) in <code>s3://bucket/prefix</code>
+   */
+
+  listStream(bucket, prefix, endPrefix, marker, options) {
+    return new ListStream(this, bucket, prefix, endPrefix, marker, options)
+  }
+
+  /**
+   * Streams the objects in the given S3 folder, listing several key ranges
+   * at once. The folder is split at its sub-folders (or at each of a set of
+   * characters), the ranges are listed concurrently, and their objects are
+   * streamed in order, as with listStream.
+   *
+   * @param {String} bucket - The bucket
+   * @param {String} prefix - The prefix for the folder to list keys for
+   * @param {String} [endPrefix] Process all files up to (not including)
+   * this key, alphabetically
+   * @param {String} [marker] - The key to start listing after, alphabetically
+   * @param {Object} [options]
+   * @param {String} [options.delimiter='/'] The delimiter used to discover
+   * sub-folders to split at
+   * @param {String} [options.characters] Split at `prefix` followed by each
+   * of these characters instead, without discovering sub-folders
+   * @param {Number} [options.concurrency=4] The number of ranges listed at
+   * a time
+   * @param {Number} [options.buffer=10000] The number of objects buffered
+   * for each range that is listed ahead
+   * @param {Object} [range] A key range to list (see listStream)
+   * @returns {Readable} A readable stream of the objects in
+   * <code>s3://bucket/prefix</code>
+   */
+
+  partitionedListStream(bucket, prefix, endPrefix, marker, options, range) {
+    options = options || {}
+    const concurrency = options.concurrency || 4
+    const buffer = options.buffer || 10000
+
+    const boundaries = options.characters
+      ? Promise.resolve(options.characters.split('').map(c => `${prefix}${c}`))
+      : this.commonPrefixes(bucket, prefix, options.delimiter || '/')
+
+    return streams.defer(boundaries.then((keys) => {
+      const bounds = ListStream.bounds(endPrefix, marker, range)
+      const lower = bounds.lower ? bounds.lower.key : ''
+      const upper = bounds.upper ? bounds.upper.key : null
 
+      // Only boundaries strictly inside the range split it
+      const inside = keys.filter((key, i) => (
+        key > lower && (upper == null || key < upper) &&
+        key.indexOf(prefix) === 0 && keys.indexOf(key) === i
+      )).sort()
+
+      // Each partition starts after a boundary and ends at the next one. The
+      // first and last partitions start and end with the range itself.
+      const partitions = [null].concat(inside).map((after, i) => () => {
+        const last = i === inside.length
+        return new ListStream(this, bucket, prefix, last ? endPrefix : null, after || marker, {
+          start: after ? null : range && range.start,
+          startInclusive: range && range.startInclusive,
+          end: last ? range && range.end : inside[i],
+          endInclusive: last ? range && range.endInclusive : true,
+          highWaterMark: buffer
+        })
+      })
+
+      return streams.concat(partitions, concurrency)
+    }))
+  }
+
+  /**
+   * Lists the CommonPrefixes (immediate sub-folders) of an S3 folder, without
+   * listing the objects inside them.
+   *
+   * @param {String} bucket - The bucket
+   * @param {String} prefix - The prefix for the folder
+   * @param {String} [delimiter='/'] - The delimiter that separates folders
+   * @returns {Promise<Array<String>>} The prefixes of the sub-folders, in
+   * alphabetical order
+   */
+
+  commonPrefixes(bucket, prefix, delimiter) {
+    prefix = prefix || ''
+    delimiter = delimiter || '/'
+    const prefixes = []
+    const next = (startAfter, token) => (
+      this.listPage(bucket, prefix, startAfter, token, delimiter).then((page) => {
+        const pagePrefixes = (page.CommonPrefixes || []).map(common => common.Prefix)
+        prefixes.push(...pagePrefixes)
+        const listed = (page.Contents || []).map(object => object.Key).concat(pagePrefixes).sort()
+        if (!page.IsTruncated || listed.length === 0) {
+
+          // Stores that ignore the delimiter return deeper prefixes too
+          return prefixes.filter((common, i) => (
+            common.indexOf(prefix) === 0 && prefixes.indexOf(common) === i &&
+            common.indexOf(delimiter, prefix.length) === common.length - delimiter.length
+          )).sort()
+        }
+        return next(page.NextMarker || listed[listed.length - 1], page.NextContinuationToken)
+      })
+    )
+    return next(null, null)
+  }
+
+  /**
+   * Lists a single page (up to 1000 objects) of the given S3 folder, with
+   * ListObjectsV2. Stores that don't support V2 are listed with listObjects
+   * instead, from then on.
+   *
+   * @param {String} bucket - The bucket
+   * @param {String} prefix - The prefix for the folder to list keys for
+   * @param {String} [startAfter] - The key to start listing after,
+   * alphabetically
+   * @param {String} [continuationToken] - The NextContinuationToken of the
+   * previous page. Takes precedence over `startAfter`.
+   * @param {String} [delimiter] - Groups keys into CommonPrefixes up to the
+   * first occurrence of the delimiter after the prefix
+   * @returns {Promise} The listObjectsV2 (or listObjects) response
+   */
+
+  listPage(bucket, prefix, startAfter, continuationToken, delimiter) {
+    if (!this.listV2 || typeof this.s3Instance.listObjectsV2 !== 'function') {
+      return this.listObjectsV1(bucket, prefix, startAfter, delimiter)
+    }
+
+    const fallback = () => {
+      this.listV2 = false
+      return this.listObjectsV1(bucket, prefix, startAfter, delimiter)
+    }
+
+    const list = this.listObjectsV2(bucket, prefix, startAfter, continuationToken, delimiter)
+    return list.then((page) => {
+
+      // Stores that don't know V2 may ignore StartAfter, and list from the
+      // start of the prefix again
+      const first = page.Contents.length > 0 ? page.Contents[0].Key : null
+      if (startAfter && !continuationToken && first != null && first <= startAfter) {
+        return fallback()
+      }
+      return page
+    }, (err) => {
+      if (isUnsupported(err)) {
+        return fallback()
+      }
+      throw err
+    })
+  }
+
+  /**
+   * Lists a page of objects with ListObjectsV2.
+   *
+   * @private
+   * @param {String} bucket - The bucket
+   * @param {String} prefix - The prefix for the folder to list keys for
+   * @param {String} [startAfter] - The key to start listing after
+   * @param {String} [continuationToken] - The token of the previous page
+   * @param {String} [delimiter] - The delimiter to group keys by
+   * @returns {Promise} The listObjectsV2 response
+   */
+
+  listObjectsV2(bucket, prefix, startAfter, continuationToken, delimiter) {
+    const params = {
+      Bucket: bucket,
+      Prefix: prefix
+    }
+    if (delimiter) {
+      params.Delimiter = delimiter
+    }
+    if (continuationToken) {
+      params.ContinuationToken = continuationToken
+    } else if (startAfter) {
+      params.StartAfter = startAfter
+    }
+
+    const start = Date.now()
     return new Promise((success, fail) => {
-      this.listRecursive(bucket, prefix, endPrefix, marker, [], (err, allKeys) => {
+      this.s3Instance.listObjectsV2(params, (err, page) => {
         if (err) {
           fail(err)
         } else {
-          allKeys = allKeys.filter(key => key.length > 0)
-          success(allKeys)
+          this.pages++
+          this.log('debug', `LIST OBJECTS s3://${bucket}/${startAfter || prefix}`, {
+            operation: 'listObjectsV2',
+            bucket,
+            prefix,
+            startAfter,
+            duration: Date.now() - start
+          })
+          success(page)
         }
       })
     })
   }
 
   /**
-   * Recursively list all S3 objects, circumventing AWS's 1000 limit
+   * Lists a page of objects with the legacy listObjects, for stores without
+   * ListObjectsV2.
    *
+   * @private
    * @param {String} bucket - The bucket
    * @param {String} prefix - The prefix for the folder to list keys for
-   * @param {String} [endPrefix] Process all files up to this key prefix
    * @param {String} [marker] - The key to start listing from, alphabetically
-   * @param {Array} allKeys - The aggregator used in recursion
-   * @param {Function} done - Callback used when recursion is finished. Takes
-   * two parameters: first is an error, if any (set to null if no error), and
-   * the second is an array of keys
+   * @param {String} [delimiter] - The delimiter to group keys by
+   * @returns {Promise} The listObjects response
    */
 
-  listRecursive(bucket, prefix, endPrefix, marker, allKeys, done) {
-    allKeys = allKeys || []
-
-    this.s3Instance.listObjects({
+  listObjectsV1(bucket, prefix, marker, delimiter) {
+    marker = marker || ''
+    const params = {
       Bucket: bucket,
       Prefix: prefix,
       Marker: marker
-    }, (err, keys) => {
-      if (err) {
-        done(err)
-      } else {
-        if (this.verbose) {
-          console.info(`LIST OBJECTS s3://${bucket}/${marker === '' ? prefix : marker}`)
-        }
+    }
+    if (delimiter) {
+      params.Delimiter = delimiter
+    }
 
-        // No keys found
-        if (keys.Contents.length === 0) {
-          done(null, [])
+    const start = Date.now()
+    return new Promise((success, fail) => {
+      this.s3Instance.listObjects(params, (err, page) => {
+        if (err) {
+          fail(err)
         } else {
+          this.pages++
+          this.log('debug', `LIST OBJECTS s3://${bucket}/${marker === '' ? prefix : marker}`, {
+            operation: 'listObjects',
+            bucket,
+            prefix,
+            marker,
+            duration: Date.now() - start
+          })
+          success(page)
+        }
+      })
+    })
+  }
 
-          // Update key values, removing the prefix
-          let keyValues = keys.Contents
-            .filter(object => {
-              const empty = object.Size === 0
-              const isDir = object.Key.lastIndexOf('/') === object.Key.length - 1
-              return !(empty && isDir)
-            })
-            .map(key => key.Key)
-
-          // If the stop prefix is reached, ignore the rest of the keys
-          let stopPrefixReached = false
-
-          if (endPrefix.length > 0) {
-            for (let i = 0; i < keyValues.length; i++) {
-              if (keyValues[i].indexOf(endPrefix) > -1) {
-                keyValues = keyValues.slice(0, i)
-                stopPrefixReached = true
-                break
-              }
-            }
-          }
+  /**
+   * Lists a single page of the versions of the objects in the given S3
+   * folder, with listObjectVersions. Versions and delete markers are merged
+   * into `Contents`, ordered by key, and from newest to oldest for each key,
+   * so a page can be read like a listObjectsV2 page.
+   *
+   * @param {String} bucket - The bucket
+   * @param {String} prefix - The prefix for the folder to list versions for
+   * @param {String} [keyMarker] - The key to start listing after,
+   * alphabetically
+   * @param {String} [versionIdMarker] - The version of `keyMarker` to start
+   * listing after (NextVersionIdMarker of the previous page)
+   * @param {String} [delimiter] - The delimiter to group keys by
+   * @returns {Promise} The listObjectVersions response. Each entry of its
+   * `Contents` has a `VersionId`, and whether it `IsLatest` and whether it
+   * `IsDeleteMarker`.
+   */
 
-          allKeys = allKeys.concat(keyValues)
+  listVersionsPage(bucket, prefix, keyMarker, versionIdMarker, delimiter) {
+    const params = {
+      Bucket: bucket,
+      Prefix: prefix
+    }
+    if (keyMarker) {
+      params.KeyMarker = keyMarker
+      if (versionIdMarker) {
+        params.VersionIdMarker = versionIdMarker
+      }
+    }
+    if (delimiter) {
+      params.Delimiter = delimiter
+    }
 
-          // `keys.IsTruncated` indicates whether there are more keys to list
-          // if so, we continue with `marker`
-          if (keys.IsTruncated && !stopPrefixReached) {
-            marker = keys.Contents[keys.Contents.length - 1].Key
-            this.listRecursive(bucket, prefix, endPrefix, marker, allKeys, done)
-          } else {
-            done(null, allKeys)
-          }
+    const start = Date.now()
+    return new Promise((success, fail) => {
+      this.s3Instance.listObjectVersions(params, (err, page) => {
+        if (err) {
+          fail(err)
+          return
         }
-      }
+        this.pages++
+        this.log('debug', `LIST OBJECT VERSIONS s3://${bucket}/${keyMarker || prefix}`, {
+          operation: 'listObjectVersions',
+          bucket,
+          prefix,
+          keyMarker,
+          duration: Date.now() - start
+        })
+        const markers = (page.DeleteMarkers || []).map(marker => Object.assign({
+          IsDeleteMarker: true
+        }, marker))
+        const versions = (page.Versions || []).map(version => Object.assign({
+          IsDeleteMarker: false
+        }, version))
+        const contents = versions.concat(markers).sort((a, b) => {
+          if (a.Key !== b.Key) {
+            return a.Key < b.Key ? -1 : 1
+          }
+          return new Date(b.LastModified) - new Date(a.LastModified)
+        })
+        success(Object.assign({}, page, {
+          Contents: contents
+        }))
+      })
     })
   }
 }
@@ -6,7 +6,140 @@
 
 const S3 = require('./S3')
 const Request = require('./Request')
-const Batch = require('batch')
+const streams = require('./streams')
+const glob = require('./glob')
+
+/**
+ * Resolves the prefix to list for a context, and the prefix of its sources,
+ * from its prefix and glob pattern. A glob narrows listing down to its
+ * literal part.
+ *
+ * @param {Object} context An object representing an S3 context
+ * @return {Object} The `listPrefix` to list, the `prefix` of sources, and
+ * the `regex` compiled from the glob, if any
+ */
+
+function resolvePrefix(context) {
+  const prefix = context.prefix || ''
+  if (context.glob == null) {
+    return {
+      listPrefix: prefix,
+      prefix,
+      regex: null
+    }
+  }
+
+  const compiled = glob.compile(context.glob)
+  if (compiled.prefix.indexOf(prefix) !== 0 && prefix.indexOf(compiled.prefix) !== 0) {
+    throw new Error(`glob ${context.glob} does not match prefix ${prefix}`)
+  }
+  const listPrefix = compiled.prefix.length > prefix.length ? compiled.prefix : prefix
+
+  // Without a prefix, sources are relative to the folder the glob starts in
+  const folder = compiled.prefix.slice(0, compiled.prefix.lastIndexOf('/') + 1)
+  return {
+    listPrefix,
+    prefix: context.prefix == null ? folder : prefix,
+    regex: compiled.regex
+  }
+}
+
+/**
+ * Parses a date option of a context.
+ *
+ * @param {Date|String|Number} value The date, a date string, or a timestamp
+ * @param {String} name The name of the option, for errors
+ * @return {Date}
+ */
+
+function toDate(value, name) {
+  const date = new Date(value)
+  if (isNaN(date.getTime())) {
+    throw new TypeError(`${name} must be a date, a date string or a timestamp`)
+  }
+  return date
+}
+
+/**
+ * Builds a function that selects sources by the metadata returned when
+ * listing them, from the selector options of a context.
+ *
+ * @param {Object} context An object representing an S3 context
+ * @return {Function} Takes a source and returns true to keep it, or null if
+ * the context has no selectors
+ */
+
+function selector(context) {
+  const tests = []
+  if (context.modifiedAfter != null) {
+    const after = toDate(context.modifiedAfter, 'modifiedAfter')
+    tests.push(source => source.lastModified > after)
+  }
+  if (context.modifiedBefore != null) {
+    const before = toDate(context.modifiedBefore, 'modifiedBefore')
+    tests.push(source => source.lastModified < before)
+  }
+  if (context.minSize != null) {
+    tests.push(source => source.size >= context.minSize)
+  }
+  if (context.maxSize != null) {
+    tests.push(source => source.size <= context.maxSize)
+  }
+  if (context.storageClass != null) {
+
+    // Listings leave out the storage class of some standard objects
+    const classes = [].concat(context.storageClass)
+    tests.push(source => classes.indexOf(source.storageClass || 'STANDARD') > -1)
+  }
+  if (tests.length === 0) {
+    return null
+  }
+  return source => tests.every(test => test(source))
+}
+
+/**
+ * Builds a function that selects the version of each object that was
+ * current at a point in time, from a listing of versions (ordered by key,
+ * and from newest to oldest for each key). Objects that didn't exist yet, or
+ * were deleted at that time, are skipped.
+ *
+ * @param {Date} asOf The point in time
+ * @return {Function} Takes a listed version and returns true to keep it
+ */
+
+function snapshot(asOf) {
+  let key = null
+  let found = false
+  return (version) => {
+    if (version.Key !== key) {
+      key = version.Key
+      found = false
+    }
+    if (found || new Date(version.LastModified) > asOf) {
+      return false
+    }
+    found = true
+    return !version.IsDeleteMarker
+  }
+}
+
+/**
+ * Whether any two contexts could list the same object, ie. they are in the
+ * same bucket and the prefix of one starts with the prefix of the other.
+ *
+ * @param {Array<Object>} contexts Objects representing S3 contexts
+ * @return {Boolean}
+ */
+
+function overlap(contexts) {
+  const listed = contexts.map(context => ({
+    bucket: context.bucket,
+    prefix: resolvePrefix(context).listPrefix
+  }))
+  return listed.some((a, i) => listed.slice(i + 1).some(b => (
+    a.bucket === b.bucket && (a.prefix.indexOf(b.prefix) === 0 || b.prefix.indexOf(a.prefix) === 0)
+  )))
+}
 
 /**
  * S3Lambda allows you to run batch requests, as well as interact with s3
@@ -19,7 +152,10 @@ class S3Lambda extends S3 {
    * @constructor
    * @param {Object} config - Options to initialize S3Lambda with.
    * @param {String} [config.encoding='utf8'] Encoding of the objects
-   * @param {Boolean} [config.showProgress=false] Show progress bar for S3 operations
+   * @param {Boolean|Object} [config.showProgress=false] Show progress bar for S3 operations.
+   * Pass an object to set the `stream` it is shown in, the `interval` in ms
+   * between lines when stdout or the stream isn't a TTY, and whether to
+   * `count` the keys with a listing of their own, to show the ETA early.
    */
 
   constructor(config) {
@@ -36,12 +172,33 @@ class S3Lambda extends S3 {
    * Alternatively, you can supply an array of context objects.
    * @param {String} context.bucket The S3 bucket
    * @param {String} context.prefix The prefix key to use to find objects
+   * @param {String} [context.glob] Optional. A glob pattern keys must match,
+   * such as `logs/2017/*\/app-*.json.gz` or `**\/*.csv`. Only the literal
+   * part of the pattern is listed, so the prefix can be left out.
    * @param {String} [context.endPrefix] Optional. The prefix to stop at
    * @param {String} [context.marker] Optional. The marker to use for listing
+   * @param {String} [context.start] Optional. The first key to list
+   * @param {String} [context.end] Optional. The key to stop listing at
+   * @param {String} [context.delimiter] Optional. Only the files directly in
+   * the prefix, and not in its sub-folders (up to this delimiter)
+   * @param {Boolean} [context.versions] Optional. Every version of the files,
+   * instead of their current version only
+   * @param {Date|String|Number} [context.asOf] Optional. The versions of the
+   * files that were current at this date
    * @param {Boolean} [context.reverse] Optional. Reverse the order of the
    * files in the context
    * @param {Number} [context.limit] Optional. Limit the number of files in the
    * context
+   * @param {Date|String|Number} [context.modifiedAfter] Optional. Only
+   * objects last modified after this date
+   * @param {Date|String|Number} [context.modifiedBefore] Optional. Only
+   * objects last modified before this date
+   * @param {Number} [context.minSize] Optional. Only objects of at least this
+   * many bytes
+   * @param {Number} [context.maxSize] Optional. Only objects of at most this
+   * many bytes
+   * @param {String|Array} [context.storageClass] Optional. Only objects in
+   * this storage class (or one of these storage classes)
    */
 
   context(context) {
@@ -55,11 +212,24 @@ class S3Lambda extends S3 {
     } else {
       throw Error('`context` expects an options object, or an array of options objects.')
     }
-    if (this.verbose) {
-      console.info('finding objects')
-    }
 
-    return new Request(this.findObjects(contexts), this)
+    // Check globs and selectors now, rather than once listing starts
+    contexts.forEach((c) => {
+      resolvePrefix(c)
+      selector(c)
+      if (c.asOf != null) {
+        toDate(c.asOf, 'asOf')
+      }
+      if (c.partition && (c.delimiter || c.versions || c.asOf != null)) {
+        throw new Error('a partitioned context can\'t use delimiter, versions or asOf')
+      }
+    })
+    this.log('info', 'finding objects', {
+      operation: 'context',
+      contexts: contexts.length
+    })
+
+    return new Request(contexts, this)
   }
 
   /**
@@ -72,59 +242,171 @@ class S3Lambda extends S3 {
    * @param {String} context.match A string or regex for the key to match
    * @param {String} [context.endPrefix] Optional. The prefix to stop at (alphabetically)
    * @param {String} [context.marker] Optional. The marker to use to start listing keys at
+   * @param {String} [context.start] Optional. The first key of the range to list
+   * @param {Boolean} [context.startInclusive=true] Optional. Whether `start` is included
+   * @param {String} [context.end] Optional. The key that ends the range to list
+   * @param {Boolean} [context.endInclusive=false] Optional. Whether `end` is included
+   * @param {Boolean|Object} [context.partition] Optional. List key ranges of
+   * the context concurrently (see S3#partitionedListStream for options)
+   * @param {String} [context.delimiter] Optional. Skip sub-folders
+   * @param {Boolean} [context.versions] Optional. List every version
+   * @param {Date|String|Number} [context.asOf] Optional. List the versions
+   * current at this date
+   * @return {Promise<Array>} Resolves with every source in the contexts
    */
 
   findObjects(contexts) {
-    const batch = new Batch()
-
-    return new Promise((success, fail) => {
-
-      contexts.forEach((context) => {
-        batch.push((done) => {
-
-          const bucket = context.bucket
-          const prefix = context.prefix
-          const endPrefix = context.endPrefix
-          const match = context.match
-          const marker = context.marker
-          const reverse = context.reverse
-          const limit = context.limit
-
-          this.keys(bucket, prefix, endPrefix, marker).then((keys) => {
-
-            // Format keys
-            let sources = keys.map(key => ({
-              bucket: context.bucket,
-              prefix: context.prefix,
-              key
-            }))
-            if (match) {
-              sources = sources.filter(object => object.key.match(match))
-            }
-            if (reverse) {
-              sources = sources.reverse()
-            }
-            if (limit) {
-              sources = sources.slice(0, limit)
-            }
-            done(null, sources)
-          }).catch((e) => {
-            done(e)
-          })
-        })
-      })
-
-      batch.end((err, sources) => {
-        if (err) {
-          fail(err)
-        } else {
-
-          // Flatten the array (of array) of sources and impose limit
-          sources = sources.reduce((prev, cur) => prev.concat(cur), [])
-          success(sources)
-        }
-      })
+    return streams.collect(this.streamObjects(contexts))
+  }
+
+  /**
+   * Stream all objects based on the contexts provided. Contexts are listed
+   * one after the other, and each one is only listed as fast as the stream
+   * is consumed.
+   *
+   * @param {Array<Object>} contexts An array of objects representing s3
+   * contexts (see findObjects)
+   * @return {Readable} An object mode stream of sources, each containing the
+   * bucket, prefix, key, size, lastModified, etag and storageClass of an S3
+   * object, and the versionId and whether it isLatest when listing versions
+   */
+
+  streamObjects(contexts) {
+    const sources = streams.concat(contexts.map(context => () => this.streamContext(context)))
+    return this.dedupe(contexts, sources)
+  }
+
+  /**
+   * Drops the sources that were already streamed, by bucket, key and
+   * version, when contexts overlap. The first occurrence of each object is
+   * kept, so the order of the sources is preserved. Keys are only tracked if
+   * some contexts overlap.
+   *
+   * @param {Array<Object>} contexts The contexts the sources come from
+   * @param {Readable} sources An object mode stream of sources
+   * @param {Function} [onDuplicate] Called with each source that is dropped
+   * @return {Readable} An object mode stream of unique sources
+   */
+
+  dedupe(contexts, sources, onDuplicate) {
+    if (!overlap(contexts)) {
+      return sources
+    }
+    const seen = new Set()
+    let duplicates = 0
+    const unique = streams.filter(sources, (source) => {
+      const id = `${source.bucket}/${source.key}?${source.versionId || ''}`
+      if (!seen.has(id)) {
+        seen.add(id)
+        return true
+      }
+      duplicates++
+      if (onDuplicate) {
+        onDuplicate(source)
+      }
+      return false
+    })
+    unique.on('end', () => this.log('info', `dropped ${duplicates} duplicate objects`, {
+      operation: 'dedupe',
+      duplicates
+    }))
+    return unique
+  }
+
+  /**
+   * Lists the sub-folders of a single context, from where its glob pattern
+   * starts, if it has one. Folders that can't hold keys matching the glob
+   * are left out.
+   *
+   * @param {Object} context An object representing an S3 context
+   * @return {Promise<Array<String>>} The prefixes of the sub-folders
+   */
+
+  contextFolders(context) {
+    const listPrefix = resolvePrefix(context).listPrefix
+    return this.commonPrefixes(context.bucket, listPrefix, context.delimiter).then(prefixes => (
+      context.glob == null
+        ? prefixes
+        : prefixes.filter(folder => glob.mayContain(context.glob, folder))
+    ))
+  }
+
+  /**
+   * Stream the objects of a single context.
+   *
+   * @param {Object} context An object representing an S3 context
+   * @return {Readable} An object mode stream of sources
+   */
+
+  streamContext(context) {
+    const bucket = context.bucket
+    const resolved = resolvePrefix(context)
+    const prefix = resolved.prefix
+    const listPrefix = resolved.listPrefix
+    const endPrefix = context.endPrefix
+    const match = context.match
+    const marker = context.marker
+    const reverse = context.reverse
+    const limit = context.limit
+    const partition = context.partition
+    const range = {
+      start: context.start,
+      startInclusive: context.startInclusive,
+      end: context.end,
+      endInclusive: context.endInclusive,
+      delimiter: context.delimiter,
+      versions: context.versions === true || context.asOf != null
+    }
+
+    // List the context one page at a time, or several ranges at once
+    const partitionOptions = partition === true ? {} : partition
+    const objects = partition
+      ? this.partitionedListStream(bucket, listPrefix, endPrefix, marker, partitionOptions, range)
+      : this.listStream(bucket, listPrefix, endPrefix, marker, range)
+
+    // Keep the versions current at `asOf`, or every version but delete
+    // markers
+    let listed = objects
+    if (context.asOf != null) {
+      listed = streams.filter(objects, snapshot(toDate(context.asOf, 'asOf')))
+    } else if (context.versions) {
+      listed = streams.filter(objects, version => !version.IsDeleteMarker)
+    }
+
+    // Format keys, keeping the metadata returned by the listing
+    let sources = streams.map(listed, (object) => {
+      const source = {
+        bucket,
+        prefix,
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+        etag: object.ETag,
+        storageClass: object.StorageClass
+      }
+      if (range.versions) {
+        source.versionId = object.VersionId
+        source.isLatest = object.IsLatest
+      }
+      return source
     })
+    if (match) {
+      sources = streams.filter(sources, object => object.key.match(match))
+    }
+    if (resolved.regex) {
+      sources = streams.filter(sources, object => resolved.regex.test(object.key))
+    }
+    const select = selector(context)
+    if (select) {
+      sources = streams.filter(sources, select)
+    }
+    if (reverse) {
+      sources = streams.reverse(sources)
+    }
+    if (limit) {
+      sources = streams.limit(sources, limit)
+    }
+    return sources
   }
 }
 
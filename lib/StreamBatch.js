@@ -0,0 +1,195 @@
+/**
+ * Run a function over the values of a stream with concurrency control
+ */
+
+'use strict'
+
+/**
+ * Dependencies
+ */
+
+const EventEmitter = require('events').EventEmitter
+
+/**
+ * StreamBatch works like Batch, but reads its values from an object mode
+ * stream. Processing starts with the first value, and values are only read
+ * from the stream when there is room for them, so memory stays flat no
+ * matter how many values the stream produces.
+ */
+
+class StreamBatch extends EventEmitter {
+
+  /**
+   * @constructor
+   *
+   * @param {Readable} stream An object mode stream of values to process
+   * @param {Function} fn The function to run on each value. Takes the value
+   * and a `done(err)` callback.
+   */
+
+  constructor(stream, fn) {
+    super()
+    this.stream = stream
+    this.fn = fn
+    this.concurrency(Infinity)
+  }
+
+  /**
+   * Set concurrency to `n`.
+   *
+   * @param {Number} n
+   * @return {StreamBatch} The instance on which this method was called.
+   */
+
+  concurrency(n) {
+    this.n = n
+    return this
+  }
+
+  /**
+   * Processes every value in the stream. Emits `value` when a value is read
+   * from the stream, and `progress` when it has been processed. Stops at the
+   * first error.
+   *
+   * @param {Function} cb Called with an error, if any, and the last value
+   * read from the stream
+   * @return {StreamBatch} The instance on which this method was called.
+   */
+
+  end(cb) {
+    this.cb = cb
+    this.pending = 0
+    this.complete = 0
+    this.total = 0
+    this.ended = false
+    this.finished = false
+    this.aborted = null
+    this.last = undefined
+
+    this.stream.on('readable', () => this.next())
+    this.stream.on('end', () => {
+      this.ended = true
+      this.next()
+    })
+    this.stream.on('error', err => this.finish(err))
+    return this
+  }
+
+  /**
+   * Stops reading values from the stream. Values being processed are left
+   * to settle, and values that fail then are interrupted: they emit
+   * `interrupted` instead of `progress`. Calls back with `err` once none are
+   * left.
+   *
+   * @param {Error} err The reason processing was aborted
+   * @return {StreamBatch} The instance on which this method was called.
+   */
+
+  abort(err) {
+    if (this.finished || this.aborted) {
+      return this
+    }
+    this.aborted = err
+    this.stream.destroy()
+    this.next()
+    return this
+  }
+
+  /**
+   * Reads as many values as the concurrency allows.
+   *
+   * @private
+   */
+
+  next() {
+    while (!this.finished && !this.aborted && this.pending < this.n) {
+      const value = this.stream.read()
+      if (value === null) {
+        break
+      }
+      this.last = value
+      this.total++
+      this.pending++
+      this.emit('value', value)
+      this.run(value)
+    }
+    if (this.aborted && this.pending === 0) {
+      this.finish(this.aborted)
+    } else if (this.ended && this.pending === 0) {
+      this.finish()
+    }
+  }
+
+  /**
+   * Runs the function on a single value.
+   *
+   * @private
+   * @param {*} value The value read from the stream
+   */
+
+  run(value) {
+    const start = new Date()
+    let called = false
+
+    const callback = (err) => {
+      if (called || this.finished) {
+        return
+      }
+      called = true
+      this.pending--
+      if (err && this.aborted) {
+        this.emit('interrupted', value, err)
+        this.next()
+        return
+      }
+      if (err) {
+        this.finish(err)
+        return
+      }
+      this.complete++
+      const end = new Date()
+      this.emit('progress', {
+        value,
+        pending: this.pending,
+        total: this.total,
+        complete: this.complete,
+        start,
+        end,
+        duration: end - start
+      })
+      this.next()
+    }
+
+    try {
+      this.fn(value, callback)
+    } catch (err) {
+      callback(err)
+    }
+  }
+
+  /**
+   * Calls back once, with the first error or the last value read.
+   *
+   * @private
+   * @param {Error} [err] The error that stopped processing
+   */
+
+  finish(err) {
+    if (this.finished) {
+      return
+    }
+    this.finished = true
+    if (err) {
+      this.stream.destroy()
+      this.cb(err, this.last)
+    } else {
+      this.cb(null, this.last)
+    }
+  }
+}
+
+/**
+ * Exports
+ */
+
+module.exports = StreamBatch
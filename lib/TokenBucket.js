@@ -0,0 +1,118 @@
+/**
+ * Limit the rate of requests or bytes with a token bucket
+ */
+
+'use strict'
+
+/**
+ * Dependencies
+ */
+
+const Transform = require('stream').Transform
+
+/**
+ * A token bucket holds up to a second's worth of tokens, and is refilled at
+ * `rate` tokens per second. Takers wait, in order, until there are enough
+ * tokens for them. Takers that need more tokens than the bucket holds wait
+ * for a full bucket, and leave it in debt, so the rate holds on average.
+ */
+
+class TokenBucket {
+
+  /**
+   * @constructor
+   *
+   * @param {Number} rate The number of tokens added per second
+   */
+
+  constructor(rate) {
+    if (!(rate > 0)) {
+      throw new TypeError('rate limits must be positive numbers')
+    }
+    this.rate = rate
+    this.size = Math.max(1, rate)
+    this.tokens = this.size
+    this.refilled = Date.now()
+    this.queue = []
+    this.timer = null
+  }
+
+  /**
+   * Waits for tokens.
+   *
+   * @param {Number} [count=1] The number of tokens to take
+   * @return {Promise} Resolves once the tokens are taken
+   */
+
+  take(count) {
+    return new Promise((success) => {
+      this.queue.push({
+        count: count == null ? 1 : count,
+        success
+      })
+      this.drain()
+    })
+  }
+
+  /**
+   * Slows a byte stream down to the rate of the bucket, taking a token per
+   * byte before passing each chunk on. Errors in `stream` are forwarded.
+   *
+   * @param {Readable} stream The stream to throttle
+   * @return {Readable} The throttled stream
+   */
+
+  throttle(stream) {
+    const output = new Transform({
+      transform: (chunk, encoding, callback) => {
+        this.take(chunk.length).then(() => callback(null, chunk))
+      }
+    })
+    stream.on('error', err => output.destroy(err))
+    return stream.pipe(output)
+  }
+
+  /**
+   * Adds the tokens earned since the last refill.
+   *
+   * @private
+   */
+
+  refill() {
+    const now = Date.now()
+    this.tokens = Math.min(this.size, this.tokens + (((now - this.refilled) * this.rate) / 1000))
+    this.refilled = now
+  }
+
+  /**
+   * Hands tokens out to the takers at the front of the queue, and waits for
+   * more if any are left.
+   *
+   * @private
+   */
+
+  drain() {
+    if (this.timer != null) {
+      return
+    }
+    this.refill()
+    while (this.queue.length > 0 && this.tokens >= Math.min(this.queue[0].count, this.size)) {
+      const taker = this.queue.shift()
+      this.tokens -= taker.count
+      taker.success()
+    }
+    if (this.queue.length > 0) {
+      const missing = Math.min(this.queue[0].count, this.size) - this.tokens
+      this.timer = setTimeout(() => {
+        this.timer = null
+        this.drain()
+      }, Math.ceil((missing * 1000) / this.rate))
+    }
+  }
+}
+
+/**
+ * Exports
+ */
+
+module.exports = TokenBucket
@@ -0,0 +1,237 @@
+/**
+ * Compression codecs for object bodies
+ */
+
+'use strict'
+
+/**
+ * Dependencies
+ */
+
+const zlib = require('zlib')
+const Bzip2 = require('compressjs').Bzip2
+
+/**
+ * Wraps a callback-style zlib function, if this version of node has it.
+ *
+ * @param {String} name The name of the codec
+ * @param {String} method The name of the zlib method
+ * @return {Function} Takes a buffer and returns a promise
+ */
+
+function zlibMethod(name, method) {
+  return buffer => new Promise((success, fail) => {
+    if (typeof zlib[method] !== 'function') {
+      throw new Error(`${name} is not supported by this version of node`)
+    }
+    zlib[method](buffer, (err, result) => {
+      if (err) {
+        fail(err)
+      } else {
+        success(result)
+      }
+    })
+  })
+}
+
+/**
+ * Creates a zlib transform stream, if this version of node has it.
+ *
+ * @param {String} name The name of the codec
+ * @param {String} method The name of the zlib stream factory
+ * @return {Function} Returns a transform stream
+ */
+
+function zlibStream(name, method) {
+  return () => {
+    if (typeof zlib[method] !== 'function') {
+      throw new Error(`${name} is not supported by this version of node`)
+    }
+    return zlib[method]()
+  }
+}
+
+/**
+ * Only buffers can be compressed with bzip2.
+ */
+
+function noStream() {
+  throw new Error('bzip2 does not support streams')
+}
+
+/**
+ * Supported codecs. `extension` and `contentEncoding` are used to detect the
+ * codec of an object, and `available` tells whether this version of node
+ * has it (zstd requires node 22.15 or later).
+ */
+
+const codecs = {
+  gzip: {
+    extension: '.gz',
+    contentEncoding: 'gzip',
+    available: true,
+    decode: zlibMethod('gzip', 'gunzip'),
+    encode: zlibMethod('gzip', 'gzip'),
+    decoder: zlibStream('gzip', 'createGunzip'),
+    encoder: zlibStream('gzip', 'createGzip')
+  },
+  bzip2: {
+    extension: '.bz2',
+    contentEncoding: 'bzip2',
+    available: true,
+    decode: buffer => new Promise(success => success(Buffer.from(Bzip2.decompressFile(buffer)))),
+    encode: buffer => new Promise(success => success(Buffer.from(Bzip2.compressFile(buffer)))),
+    decoder: noStream,
+    encoder: noStream
+  },
+  zstd: {
+    extension: '.zst',
+    contentEncoding: 'zstd',
+    available: typeof zlib.zstdCompress === 'function',
+    decode: zlibMethod('zstd', 'zstdDecompress'),
+    encode: zlibMethod('zstd', 'zstdCompress'),
+    decoder: zlibStream('zstd', 'createZstdDecompress'),
+    encoder: zlibStream('zstd', 'createZstdCompress')
+  }
+}
+
+/**
+ * Gets a codec by name.
+ *
+ * @param {String} name The name of the codec (gzip, bzip2, or zstd)
+ * @return {Object} The codec
+ */
+
+function get(name) {
+  if (!Object.prototype.hasOwnProperty.call(codecs, name)) {
+    throw new Error(`unknown codec ${name}, expected one of: ${Object.keys(codecs).join(', ')}`)
+  }
+  return codecs[name]
+}
+
+/**
+ * Gets a codec by name, checking that this version of node has it.
+ *
+ * @param {String} name The name of the codec (gzip, bzip2, or zstd)
+ * @return {Object} The codec
+ */
+
+function check(name) {
+  const codec = get(name)
+  if (!codec.available) {
+    throw new Error(`${name} is not supported by this version of node`)
+  }
+  return codec
+}
+
+/**
+ * Detects the codec of an object from its ContentEncoding, or its key's
+ * extension.
+ *
+ * @param {String} key The key of the object
+ * @param {String} [contentEncoding] The ContentEncoding of the object
+ * @return {String} The name of the codec, or null if the object isn't
+ * compressed
+ */
+
+function detect(key, contentEncoding) {
+  const names = Object.keys(codecs)
+  const encodings = (contentEncoding || '').toLowerCase().split(',').map(e => e.trim())
+  const byEncoding = names.filter(name => encodings.indexOf(codecs[name].contentEncoding) > -1)
+  if (byEncoding.length > 0) {
+    return byEncoding[0]
+  }
+  const byExtension = names.filter((name) => {
+    const extension = codecs[name].extension
+    return key.slice(-extension.length) === extension
+  })
+  return byExtension.length > 0 ? byExtension[0] : null
+}
+
+/**
+ * Decompresses the body of an S3 object.
+ *
+ * @param {String} name The name of the codec, or 'auto' to detect it
+ * @param {Object} object The object returned by getObject
+ * @param {String} key The key of the object
+ * @return {Promise<Object>} Resolves with a copy of the object with its Body
+ * decompressed
+ */
+
+function decode(name, object, key) {
+  if (name === 'auto') {
+    name = detect(key, object.ContentEncoding)
+    if (name == null) {
+      return Promise.resolve(object)
+    }
+  }
+  return get(name).decode(object.Body).then(body => Object.assign({}, object, {
+    Body: body
+  }))
+}
+
+/**
+ * Compresses an object body.
+ *
+ * @param {String} name The name of the codec
+ * @param {Buffer|String} body The body to compress
+ * @param {String} [encoding='utf8'] The encoding of string bodies
+ * @return {Promise<Buffer>} Resolves with the compressed body
+ */
+
+function encode(name, body, encoding) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body), encoding || 'utf8')
+  return get(name).encode(buffer)
+}
+
+/**
+ * Pipes a stream through a codec's transform stream, forwarding errors.
+ *
+ * @param {Function} factory Creates the transform stream
+ * @param {Readable} stream The stream to transform
+ * @return {Readable}
+ */
+
+function pipeThrough(factory, stream) {
+  const output = factory()
+  stream.on('error', err => output.destroy(err))
+  return stream.pipe(output)
+}
+
+/**
+ * Decompresses a stream.
+ *
+ * @param {String} name The name of the codec
+ * @param {Readable} stream The compressed stream
+ * @return {Readable} The decompressed stream
+ */
+
+function decodeStream(name, stream) {
+  return pipeThrough(get(name).decoder, stream)
+}
+
+/**
+ * Compresses a stream.
+ *
+ * @param {String} name The name of the codec
+ * @param {Readable} stream The stream to compress
+ * @return {Readable} The compressed stream
+ */
+
+function encodeStream(name, stream) {
+  return pipeThrough(get(name).encoder, stream)
+}
+
+/**
+ * Exports
+ */
+
+module.exports = {
+  get,
+  check,
+  detect,
+  decode,
+  encode,
+  decodeStream,
+  encodeStream
+}
@@ -0,0 +1,192 @@
+/**
+ * Compile glob patterns into a listing prefix and a matcher
+ */
+
+'use strict'
+
+/**
+ * Characters with a special meaning in glob patterns.
+ */
+
+const SPECIAL = '*?[{\\'
+
+/**
+ * Escapes a character for use in a regular expression.
+ *
+ * @param {String} c The character
+ * @return {String}
+ */
+
+function escape(c) {
+  return /[.*+?^${}()|[\]\\/]/.test(c) ? `\\${c}` : c
+}
+
+/**
+ * Gets the literal part of a pattern, up to its first wildcard.
+ *
+ * @param {String} pattern The glob pattern
+ * @return {String}
+ */
+
+function literalPrefix(pattern) {
+  let prefix = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i]
+    if (c === '\\' && i + 1 < pattern.length) {
+      prefix += pattern[++i]
+    } else if (SPECIAL.indexOf(c) > -1) {
+      break
+    } else {
+      prefix += c
+    }
+  }
+  return prefix
+}
+
+/**
+ * Converts a glob pattern into a regular expression source.
+ *
+ * `*` matches any characters but `/`, `**` matches any characters (and `**\/`
+ * any number of folders, including none), `?` matches a single character but
+ * `/`, `[abc]` and `[!abc]` match a character in (or not in) a set, and
+ * `{a,b}` matches either alternative. A backslash escapes the next character.
+ *
+ * @param {String} pattern The glob pattern
+ * @return {String}
+ */
+
+function toRegExp(pattern) {
+  let source = ''
+  let depth = 0
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i]
+    if (c === '\\' && i + 1 < pattern.length) {
+      source += escape(pattern[++i])
+    } else if (c === '*' && pattern[i + 1] === '*') {
+      i++
+      if (pattern[i + 1] === '/') {
+        i++
+        source += '(?:.*/)?'
+      } else {
+        source += '.*'
+      }
+    } else if (c === '*') {
+      source += '[^/]*'
+    } else if (c === '?') {
+      source += '[^/]'
+    } else if (c === '[' && pattern.indexOf(']', i + 2) > -1) {
+      const end = pattern.indexOf(']', i + 2)
+      let set = pattern.slice(i + 1, end)
+      const negate = set[0] === '!' || set[0] === '^'
+      if (negate) {
+        set = set.slice(1)
+      }
+      source += `[${negate ? '^' : ''}${set.replace(/[\\\]^]/g, '\\$&')}]`
+      i = end
+    } else if (c === '{') {
+      depth++
+      source += '(?:'
+    } else if (c === ',' && depth > 0) {
+      source += '|'
+    } else if (c === '}' && depth > 0) {
+      depth--
+      source += ')'
+    } else {
+      source += escape(c)
+    }
+  }
+  if (depth > 0) {
+    throw new Error(`unbalanced braces in glob pattern ${pattern}`)
+  }
+  return source
+}
+
+/**
+ * Compiles a glob pattern.
+ *
+ * @param {String} pattern The glob pattern, matched against full keys
+ * @return {Object} The `prefix` to list (the literal part of the pattern,
+ * up to its first wildcard), and a `regex` that matches keys
+ */
+
+function compile(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new TypeError('glob pattern must be a non-empty string')
+  }
+  return {
+    prefix: literalPrefix(pattern),
+    regex: new RegExp(`^${toRegExp(pattern)}$`)
+  }
+}
+
+/**
+ * Splits a pattern into its folders and file name, at the slashes outside of
+ * sets and braces.
+ *
+ * @param {String} pattern The glob pattern
+ * @return {Array<String>} The parts, or null if a slash is inside braces
+ */
+
+function split(pattern) {
+  const parts = ['']
+  let depth = 0
+  for (let i = 0; i < pattern.length; i++) {
+    let c = pattern[i]
+    if (c === '\\' && i + 1 < pattern.length) {
+      c += pattern[++i]
+    } else if (c === '[' && pattern.indexOf(']', i + 2) > -1) {
+      const end = pattern.indexOf(']', i + 2)
+      c = pattern.slice(i, end + 1)
+      i = end
+    } else if (c === '{') {
+      depth++
+    } else if (c === '}' && depth > 0) {
+      depth--
+    } else if (c === '/' && depth > 0) {
+      return null
+    } else if (c === '/') {
+      parts.push('')
+      c = ''
+    }
+    parts[parts.length - 1] += c
+  }
+  return parts
+}
+
+/**
+ * Whether keys in a folder can match a pattern. Folders are compared to the
+ * pattern one level at a time, and any folder can hold keys that match once
+ * a `**` is reached.
+ *
+ * @param {String} pattern The glob pattern, matched against full keys
+ * @param {String} folder The folder, ending with a `/`
+ * @return {Boolean}
+ */
+
+function mayContain(pattern, folder) {
+  const parts = split(pattern)
+  if (parts == null) {
+    return true
+  }
+  const names = folder.split('/').slice(0, -1)
+  for (let i = 0; i < names.length; i++) {
+    if (parts[i].indexOf('**') > -1) {
+      return true
+    }
+
+    // The last part matches file names, which are deeper than the folder
+    if (i === parts.length - 1 || !new RegExp(`^${toRegExp(parts[i])}$`).test(names[i])) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Exports
+ */
+
+module.exports = {
+  compile,
+  mayContain
+}
@@ -0,0 +1,56 @@
+/**
+ * Loggers for verbose mode
+ */
+
+'use strict'
+
+/**
+ * Log levels, from the most to the least verbose.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error']
+
+/**
+ * Creates the default logger, which writes messages to the console in
+ * verbose mode, and drops them otherwise.
+ *
+ * @param {Boolean} verbose Whether to write messages
+ * @return {Object} A logger
+ */
+
+function consoleLogger(verbose) {
+  const logger = {}
+  LEVELS.forEach((level) => {
+    logger[level] = (message) => {
+      if (verbose) {
+        console.info(message)
+      }
+    }
+  })
+  return logger
+}
+
+/**
+ * Checks that a logger has a method for each level.
+ *
+ * @param {Object} logger The logger
+ * @return {Object} The logger
+ */
+
+function check(logger) {
+  const missing = LEVELS.filter(level => typeof logger[level] !== 'function')
+  if (missing.length > 0) {
+    throw new TypeError(`logger is missing methods: ${missing.join(', ')}`)
+  }
+  return logger
+}
+
+/**
+ * Exports
+ */
+
+module.exports = {
+  LEVELS,
+  console: consoleLogger,
+  check
+}
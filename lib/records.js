@@ -0,0 +1,230 @@
+/**
+ * Parse and serialize line-oriented records (NDJSON and CSV)
+ */
+
+'use strict'
+
+/**
+ * Parses CSV text into rows of fields. Handles quoted fields, including
+ * escaped quotes and line breaks inside quotes.
+ *
+ * @param {String} text The CSV text
+ * @param {String} delimiter The field delimiter
+ * @return {Array<Object>} Rows, each with its `fields` and the `line` it
+ * starts on
+ */
+
+function parseCsv(text, delimiter) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+
+  const endRow = () => {
+    row.push(field)
+
+    // Skip blank lines
+    if (row.length > 1 || row[0] !== '') {
+      rows.push({
+        fields: row,
+        line: rowLine
+      })
+    }
+    row = []
+    field = ''
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        if (c === '\n') {
+          line++
+        }
+        field += c
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true
+    } else if (c === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      endRow()
+      line++
+      rowLine = line
+    } else {
+      field += c
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow()
+  }
+  return rows
+}
+
+/**
+ * Formats a row of fields as a CSV line, quoting fields if necessary.
+ *
+ * @param {Array} fields The field values
+ * @param {String} delimiter The field delimiter
+ * @return {String}
+ */
+
+function csvLine(fields, delimiter) {
+  return fields.map((value) => {
+    const field = value == null ? '' : String(value)
+    if (field.indexOf(delimiter) > -1 || /["\r\n]/.test(field)) {
+      return `"${field.replace(/"/g, '""')}"`
+    }
+    return field
+  }).join(delimiter)
+}
+
+/**
+ * Parses the body of an object into records.
+ *
+ * @param {Object} options The record options
+ * @param {String} options.format The record format (ndjson or csv)
+ * @param {String} [options.delimiter=','] The CSV field delimiter
+ * @param {Boolean} [options.header=true] Whether the first CSV row is a
+ * header. If so, CSV records are objects keyed by column, otherwise they are
+ * arrays of fields.
+ * @param {String} text The object body
+ * @return {Array<Object>} Entries, each with a `record` and the `line` it
+ * starts on
+ */
+
+function parse(options, text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('record mode requires objects to be strings')
+  }
+
+  if (options.format === 'ndjson') {
+    const entries = []
+    text.split('\n').forEach((line, i) => {
+      if (line.trim().length > 0) {
+        entries.push({
+          record: JSON.parse(line),
+          line: i + 1
+        })
+      }
+    })
+    return entries
+  }
+
+  const rows = parseCsv(text, options.delimiter)
+  if (!options.header) {
+    return rows.map(row => ({
+      record: row.fields,
+      line: row.line
+    }))
+  }
+
+  const columns = rows.length > 0 ? rows[0].fields : []
+  return rows.slice(1).map((row) => {
+    const record = {}
+    columns.forEach((column, i) => {
+      record[column] = row.fields[i]
+    })
+    return {
+      record,
+      line: row.line
+    }
+  })
+}
+
+/**
+ * Serializes records into an object body, in the same format they were
+ * parsed from.
+ *
+ * @param {Object} options The record options (see parse)
+ * @param {Array} records The records
+ * @return {String} The object body
+ */
+
+function serialize(options, records) {
+  let lines = null
+
+  if (options.format === 'ndjson') {
+    lines = records.map(record => JSON.stringify(record))
+  } else if (options.header) {
+
+    // Columns are the keys of every record, in order of appearance
+    const columns = []
+    records.forEach((record) => {
+      Object.keys(record).forEach((column) => {
+        if (columns.indexOf(column) === -1) {
+          columns.push(column)
+        }
+      })
+    })
+    const rows = records.map(record => columns.map(column => record[column]))
+    lines = (rows.length > 0 ? [columns].concat(rows) : [])
+      .map(row => csvLine(row, options.delimiter))
+  } else {
+    lines = records.map(row => csvLine(row, options.delimiter))
+  }
+
+  return lines.length > 0 ? `${lines.join('\n')}\n` : ''
+}
+
+/**
+ * Calls `func` on each entry in order, waiting for each returned promise if
+ * `isAsync` is set.
+ *
+ * @param {Array} entries The entries
+ * @param {Function} func Takes an entry and returns a result
+ * @param {Boolean} isAsync Whether `func` returns a promise
+ * @return {Array|Promise<Array>} The results, or a promise of the results
+ */
+
+function series(entries, func, isAsync) {
+  if (!isAsync) {
+    return entries.map(entry => func(entry))
+  }
+  const results = []
+  return entries.reduce((prev, entry) => prev.then(() => func(entry)).then((result) => {
+    results.push(result)
+  }), Promise.resolve()).then(() => results)
+}
+
+/**
+ * Folds `func` over each entry in order, waiting for each returned promise if
+ * `isAsync` is set.
+ *
+ * @param {Array} entries The entries
+ * @param {Function} func Takes the accumulator and an entry, and returns the
+ * new accumulator
+ * @param {*} initialValue The initial accumulator
+ * @param {Boolean} isAsync Whether `func` returns a promise
+ * @return {*|Promise} The result, or a promise of the result
+ */
+
+function fold(entries, func, initialValue, isAsync) {
+  if (!isAsync) {
+    return entries.reduce(func, initialValue)
+  }
+  return entries.reduce((prev, entry) => prev.then(acc => func(acc, entry)),
+    Promise.resolve(initialValue))
+}
+
+/**
+ * Exports
+ */
+
+module.exports = {
+  parse,
+  serialize,
+  series,
+  fold
+}
@@ -0,0 +1,242 @@
+/**
+ * Helpers for composing object mode streams
+ */
+
+'use strict'
+
+/**
+ * Dependencies
+ */
+
+const stream = require('stream')
+
+/**
+ * Pipes `source` into a new transform stream. Errors in `source` are
+ * forwarded, and destroying the returned stream also destroys `source`.
+ *
+ * @param {Readable} source The stream to read from
+ * @param {Object} options The transform options (transform, flush)
+ * @return {Transform}
+ */
+
+function through(source, options) {
+  const output = new stream.Transform({
+    objectMode: true,
+    transform: options.transform,
+    flush: options.flush,
+    destroy(err, callback) {
+      source.destroy()
+      callback(err)
+    }
+  })
+  source.on('error', err => output.destroy(err))
+  return source.pipe(output)
+}
+
+/**
+ * Applies `func` to every value of a stream.
+ *
+ * @param {Readable} source The stream to read from
+ * @param {Function} func Takes a value and returns the new value
+ * @return {Readable}
+ */
+
+function map(source, func) {
+  return through(source, {
+    transform(value, encoding, callback) {
+      let result = null
+      try {
+        result = func(value)
+      } catch (e) {
+        callback(e)
+        return
+      }
+      callback(null, result)
+    }
+  })
+}
+
+/**
+ * Only keeps the values of a stream for which `func` returns true.
+ *
+ * @param {Readable} source The stream to read from
+ * @param {Function} func Takes a value and returns true to keep it
+ * @return {Readable}
+ */
+
+function filter(source, func) {
+  return through(source, {
+    transform(value, encoding, callback) {
+      let keep = false
+      try {
+        keep = func(value)
+      } catch (e) {
+        callback(e)
+        return
+      }
+      if (keep) {
+        this.push(value)
+      }
+      callback()
+    }
+  })
+}
+
+/**
+ * Ends a stream after `limit` values. The source stream is destroyed once the
+ * limit is reached, so nothing more is listed.
+ *
+ * @param {Readable} source The stream to read from
+ * @param {Number} max The maximum number of values
+ * @return {Readable}
+ */
+
+function limit(source, max) {
+  let count = 0
+  return through(source, {
+    transform(value, encoding, callback) {
+      if (count < max) {
+        this.push(value)
+        if (++count === max) {
+          this.push(null)
+          source.unpipe(this)
+          source.destroy()
+        }
+      }
+      callback()
+    }
+  })
+}
+
+/**
+ * Reverses the order of a stream. This buffers every value until the source
+ * ends.
+ *
+ * @param {Readable} source The stream to read from
+ * @return {Readable}
+ */
+
+function reverse(source) {
+  const values = []
+  return through(source, {
+    transform(value, encoding, callback) {
+      values.push(value)
+      callback()
+    },
+    flush(callback) {
+      values.reverse().forEach(value => this.push(value))
+      callback()
+    }
+  })
+}
+
+/**
+ * Concatenates streams, creating each one only when the previous one has
+ * ended. With a `lookahead`, the next streams are created ahead of time, and
+ * start filling their buffers while the current one is read.
+ *
+ * @param {Array<Function>} factories Functions that return a readable stream
+ * @param {Number} [lookahead=1] The number of streams open at a time
+ * @return {Readable}
+ */
+
+function concat(factories, lookahead) {
+  lookahead = lookahead || 1
+  const created = []
+  let current = 0
+  const output = new stream.PassThrough({
+    objectMode: true,
+    destroy(err, callback) {
+      created.slice(current).forEach(source => source.destroy())
+      callback(err)
+    }
+  })
+
+  const create = (i) => {
+    if (i < factories.length && created[i] == null) {
+      created[i] = factories[i]()
+      created[i].on('error', err => output.destroy(err))
+      if (i > current) {
+        created[i].read(0)
+      }
+    }
+  }
+
+  const next = (i) => {
+    current = i
+    if (i === factories.length) {
+      output.end()
+      return
+    }
+    for (let j = i; j < i + lookahead; j++) {
+      create(j)
+    }
+    created[i].on('end', () => next(i + 1))
+    created[i].pipe(output, { end: false })
+  }
+
+  next(0)
+  return output
+}
+
+/**
+ * Streams the values of a stream that isn't available yet.
+ *
+ * @param {Promise<Readable>} promise Resolves with the stream to read from
+ * @return {Readable}
+ */
+
+function defer(promise) {
+  let source = null
+  const output = new stream.PassThrough({
+    objectMode: true,
+    destroy(err, callback) {
+      if (source) {
+        source.destroy()
+      }
+      callback(err)
+    }
+  })
+
+  promise.then((resolved) => {
+    source = resolved
+    if (output.destroyed) {
+      source.destroy()
+      return
+    }
+    source.on('error', err => output.destroy(err))
+    source.pipe(output)
+  }, err => output.destroy(err))
+  return output
+}
+
+/**
+ * Reads every value of a stream into an array.
+ *
+ * @param {Readable} source The stream to read from
+ * @return {Promise<Array>} Resolves with the values once the stream ends
+ */
+
+function collect(source) {
+  return new Promise((success, fail) => {
+    const values = []
+    source.on('data', value => values.push(value))
+    source.on('end', () => success(values))
+    source.on('error', fail)
+  })
+}
+
+/**
+ * Exports
+ */
+
+module.exports = {
+  through,
+  map,
+  filter,
+  limit,
+  reverse,
+  concat,
+  defer,
+  collect
+}
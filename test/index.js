@@ -6,6 +6,9 @@ const mkdirp = require('mkdirp').sync
 const rimraf = require('rimraf').sync
 const test = require('tape')
 const path = require('path')
+const stream = require('stream')
+const getEventListeners = require('events').getEventListeners
+const zlib = require('zlib')
 const fs = require('fs')
 
 // Path variables
@@ -94,6 +97,167 @@ test('S3Lambda.keys', (t) => {
     .catch(e => console.error(e.stack))
 })
 
+test('S3Lambda.keys (listObjectsV2 fallback)', (t) => {
+  t.plan(3)
+
+  // A store that doesn't support ListObjectsV2
+  const legacy = new S3Lambda({ localPath })
+  legacy.s3Instance.listObjectsV2 = (params, callback) => {
+    const err = new Error('not implemented')
+    err.code = 'NotImplemented'
+    callback(err)
+  }
+
+  legacy
+    .keys(bucket, prefix, null, `${prefix}/file1`)
+    .then((keys) => {
+      t.deepEqual(keys, files.slice(1).map(f => `${prefix}/${f}`), 'marker is respected')
+      t.equal(legacy.listV2, false, 'falls back to listObjects')
+      return legacy.keys(bucket, prefix)
+    })
+    .then((keys) => {
+      t.deepEqual(keys, files.map(f => `${prefix}/${f}`), 'lists with listObjects')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.listStream', (t) => {
+  t.plan(1)
+  const answer = files.map(f => `${prefix}/${f}`)
+  const keys = []
+  lambda
+    .listStream(bucket, prefix)
+    .on('data', (object) => {
+      keys.push(object.Key)
+    })
+    .on('end', () => {
+      t.deepEqual(keys, answer, 'streamed keys match')
+    })
+    .on('error', e => console.error(e.stack))
+})
+
+test('S3Lambda.context (start and end)', (t) => {
+
+  resetSandbox()
+  t.plan(3)
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+  const keys = contexts => lambda.findObjects(contexts).then(sources => (
+    sources.map(source => source.key.slice(prefix.length + 1))
+  ))
+
+  keys([Object.assign({ start: `${prefix}/file2`, end: `${prefix}/file4` }, context)])
+    .then((result) => {
+      t.deepEqual(result, ['file2', 'file3'], 'start inclusive, end exclusive')
+      return keys([Object.assign({
+        start: `${prefix}/file2`,
+        startInclusive: false,
+        end: `${prefix}/file4`,
+        endInclusive: true
+      }, context)])
+    })
+    .then((result) => {
+      t.deepEqual(result, ['file3', 'file4'], 'start exclusive, end inclusive')
+      return keys([Object.assign({ endPrefix: `${prefix}/file3` }, context)])
+    })
+    .then((result) => {
+      t.deepEqual(result, ['file1', 'file2'], 'endPrefix is a lexicographic upper bound')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.start (listing)', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const keys = ['10', '11', '12', '13', '14', '15', '16'].map(key => `${prefix}/days/${key}`)
+  keys.forEach((key) => {
+    mkdirp(path.dirname(`${bucketPath}/${key}`))
+    fs.writeFileSync(`${bucketPath}/${key}`, key)
+  })
+
+  // Count the keys listed, and not only those returned. The mock only starts
+  // after keys it has, so StartAfter is applied here, the way S3 does.
+  const counting = new S3Lambda({ localPath })
+  const listObjectsV2 = counting.s3Instance.listObjectsV2.bind(counting.s3Instance)
+  let listed = 0
+  counting.s3Instance.listObjectsV2 = (params, callback) => {
+    const all = Object.assign({}, params, { StartAfter: undefined })
+    listObjectsV2(all, (err, data) => {
+      if (data) {
+        data.Contents = data.Contents.filter(object => object.Key > (params.StartAfter || ''))
+        listed += data.Contents.length
+      }
+      callback(err, data)
+    })
+  }
+
+  counting
+    .findObjects([{ bucket, prefix: `${prefix}/days/`, start: `${prefix}/days/15` }])
+    .then((sources) => {
+      t.deepEqual(sources.map(source => source.key), keys.slice(5), 'start is inclusive')
+      t.equal(listed, 2, 'keys before start are not listed')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.partition', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const keys = ['a/1', 'a/2', 'b', 'c/1', 'd/1'].map(key => `${prefix}/${key}`)
+  keys.forEach((key) => {
+    mkdirp(path.dirname(`${bucketPath}/${key}`))
+    fs.writeFileSync(`${bucketPath}/${key}`, key)
+  })
+  const answer = files.map(f => `${prefix}/${f}`).concat(keys).sort()
+
+  const context = {
+    bucket: bucket,
+    prefix: `${prefix}/`
+  }
+
+  lambda
+    .findObjects([Object.assign({ partition: true }, context)])
+    .then((sources) => {
+      t.deepEqual(sources.map(source => source.key), answer, 'split at sub-folders')
+      return lambda.findObjects([Object.assign({ partition: { characters: 'bcf' } }, context)])
+    })
+    .then((sources) => {
+      t.deepEqual(sources.map(source => source.key), answer, 'split at characters')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.limit and S3Lambda.context.forEach (streaming)', (t) => {
+
+  resetSandbox()
+  t.plan(1)
+
+  const keys = []
+  const context = {
+    bucket: bucket,
+    prefix: prefix,
+    limit: 3
+  }
+
+  lambda
+    .context(context)
+    .limit(2)
+    .forEach((obj, key) => {
+      keys.push(key)
+    })
+    .then(() => {
+      t.deepEqual(keys, ['files/file1', 'files/file2'], 'forEach over limited stream')
+    })
+    .catch(e => console.error(e.stack))
+})
+
 /**
  * Test S3 methods get, put, and delete
  */
@@ -136,6 +300,376 @@ test('S3Lambda.delete (batch)', (t) => {
   }).catch(console.error)
 })
 
+test('S3Lambda (logger)', (t) => {
+
+  resetSandbox()
+  t.plan(3)
+
+  const logs = []
+  const logger = {}
+  const levels = ['debug', 'info', 'warn', 'error']
+  levels.forEach((level) => {
+    logger[level] = (message, fields) => logs.push({ level, message, fields })
+  })
+  const logged = new S3Lambda({ localPath, logger })
+  const key = `${prefix}/logged`
+
+  t.throws(() => new S3Lambda({ localPath, logger: { info: () => {} } }), /missing methods/,
+    'rejects incomplete loggers')
+  logged
+    .put(bucket, key, 'hello world')
+    .then(() => logged.get(bucket, key))
+    .then(() => {
+      t.deepEqual(logs.map(log => [log.level, log.message]), [
+        ['debug', `PUT OBJECT s3://${bucket}/${key}`],
+        ['debug', `GET OBJECT s3://${bucket}/${key}`]
+      ], 'logs each operation')
+      const fields = logs[1].fields
+      t.deepEqual([fields.operation, fields.bucket, fields.key, typeof fields.duration],
+        ['getObject', bucket, key, 'number'], 'logs structured fields')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context (glob)', (t) => {
+
+  resetSandbox()
+  t.plan(3)
+
+  const keys = ['2017/01/app-1.json', '2017/01/db-1.json', '2017/02/app-2.json', '2017/02/03/app-3.json']
+  keys.forEach((key) => {
+    mkdirp(path.dirname(`${prefixPath}/${key}`))
+    fs.writeFileSync(`${prefixPath}/${key}`, key)
+  })
+
+  // Record the prefixes that are listed
+  const listed = []
+  const listPage = lambda.listPage
+  lambda.listPage = (listBucket, listPrefix, ...rest) => {
+    listed.push(listPrefix)
+    return listPage.call(lambda, listBucket, listPrefix, ...rest)
+  }
+
+  lambda
+    .findObjects([{ bucket, glob: `${prefix}/2017/*/app-*.json` }])
+    .then((sources) => {
+      lambda.listPage = listPage
+      t.deepEqual(sources.map(source => source.key),
+        [`${prefix}/2017/01/app-1.json`, `${prefix}/2017/02/app-2.json`], 'keys match the glob')
+      t.deepEqual(listed, [`${prefix}/2017/`], 'only the literal prefix is listed')
+      return lambda.findObjects([{ bucket, prefix, glob: '**/app-*.json' }])
+    })
+    .then((sources) => {
+      t.equal(sources.length, 3, 'globstar matches any number of folders')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.commonPrefixes and S3Lambda.context.folders (delimiter)', (t) => {
+
+  resetSandbox()
+  t.plan(7)
+
+  const keys = ['date=2017-03-01/1', 'date=2017-03-01/hour=1/1', 'date=2017-03-02/1']
+  keys.forEach((key) => {
+    mkdirp(path.dirname(`${prefixPath}/${key}`))
+    fs.writeFileSync(`${prefixPath}/${key}`, key)
+  })
+  const folders = [`${prefix}/date=2017-03-01/`, `${prefix}/date=2017-03-02/`]
+
+  lambda
+    .commonPrefixes(bucket, `${prefix}/`)
+    .then((prefixes) => {
+      t.deepEqual(prefixes, folders, 'list immediate sub-folders')
+      return lambda.context({ bucket, prefix: `${prefix}/`, delimiter: '/', limit: 1 }).folders()
+    })
+    .then((contexts) => {
+      t.deepEqual(contexts, folders.map(folder => ({ bucket, prefix: folder, limit: 1 })),
+        'fan out a context per sub-folder')
+      return lambda.findObjects([{ bucket, prefix: `${prefix}/`, delimiter: '/' }])
+    })
+    .then((sources) => {
+      t.deepEqual(sources.map(source => source.key), files.map(f => `${prefix}/${f}`),
+        'skip files in sub-folders')
+      t.throws(() => lambda.context({ bucket, prefix, delimiter: '/', partition: true }),
+        'delimiter and partition are exclusive')
+      return lambda.context({ bucket, glob: `${prefix}/file*` }).folders()
+    })
+    .then((contexts) => {
+      t.deepEqual(contexts, [], 'list from where the glob starts')
+      return lambda.context({ bucket, glob: `${prefix}/date=*-0[2]/*` }).folders()
+    })
+    .then((contexts) => {
+      const glob = `${prefix}/date=*-0[2]/*`
+      t.deepEqual(contexts, [{ bucket, prefix: folders[1], glob }], 'keep the folders that match')
+      return lambda.findObjects(contexts)
+    })
+    .then((sources) => {
+      t.deepEqual(sources.map(source => source.key), [`${prefix}/date=2017-03-02/1`],
+        'keep the glob in sub-folders')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context (overlapping contexts)', (t) => {
+
+  resetSandbox()
+  t.plan(4)
+
+  const contexts = [
+    { bucket, prefix: `${prefix}/file`, end: `${prefix}/file3` },
+    { bucket, prefix: `${prefix}/` }
+  ]
+  const keys = []
+  const request = lambda.context(contexts)
+
+  lambda
+    .findObjects(contexts)
+    .then((sources) => {
+      t.deepEqual(sources.map(source => source.key), files.map(f => `${prefix}/${f}`),
+        'find each object once, in order')
+      return request.forEach((obj, key) => {
+        keys.push(key)
+      })
+    })
+    .then(() => {
+      t.equal(keys.length, files.length, 'process each object once')
+      t.equal(request.duplicates, 2, 'count duplicates')
+      return lambda.context(contexts).continueOnError().each(() => {})
+    })
+    .then((report) => {
+      t.equal(report.duplicates, 2, 'report duplicates')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context (versions) and S3Lambda.context.restore', (t) => {
+  t.plan(5)
+
+  // A versioned bucket, listed in two pages
+  const versioned = new S3Lambda({ localPath })
+  const version = (key, id, day, latest) => ({
+    Key: `${prefix}/${key}`,
+    VersionId: id,
+    IsLatest: latest,
+    LastModified: new Date(`2017-03-0${day}T00:00:00Z`),
+    Size: 1
+  })
+  const pages = [{
+    Versions: [version('a', 'a3', 3, true), version('a', 'a1', 1, false)],
+    DeleteMarkers: [version('b', 'b2', 2, true)],
+    IsTruncated: true,
+    NextKeyMarker: `${prefix}/b`,
+    NextVersionIdMarker: 'b2'
+  }, {
+    Versions: [version('b', 'b1', 1, false), version('c', 'c4', 4, true)],
+    IsTruncated: false
+  }]
+  versioned.s3Instance.listObjectVersions = (params, callback) => {
+    callback(null, pages[params.VersionIdMarker === 'b2' ? 1 : 0])
+  }
+  const copies = []
+  versioned.s3Instance.copyObject = (params, callback) => {
+    copies.push(params.CopySource)
+    callback(null, {})
+  }
+
+  const ids = sources => sources.map(source => `${source.key}@${source.versionId}`)
+  const asOf = { bucket, prefix, asOf: '2017-03-01T12:00:00Z' }
+
+  versioned
+    .findObjects([{ bucket, prefix, versions: true }])
+    .then((sources) => {
+      t.deepEqual(ids(sources), ['a@a3', 'a@a1', 'b@b1', 'c@c4'].map(id => `${prefix}/${id}`),
+        'list every version')
+      return versioned.findObjects([asOf])
+    })
+    .then((sources) => {
+      t.deepEqual(ids(sources), ['a@a1', 'b@b1'].map(id => `${prefix}/${id}`),
+        'list the versions current at a date')
+      t.throws(() => versioned.context({ bucket, prefix }).restore(), 'restore requires versions')
+      return versioned.context(asOf).dryRun().restore()
+    })
+    .then((plan) => {
+      t.deepEqual(plan.map(action => action.versionId), ['a1', 'b1'], 'plan restores')
+      return versioned.context(asOf).restore()
+    })
+    .then(() => {
+      t.deepEqual(copies, ['a1', 'b1'].map(id => `${bucket}/${prefix}%2F${id[0]}?versionId=${id}`),
+        'copy versions over their keys')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context (versions) and S3Lambda.context.filter', (t) => {
+  t.plan(3)
+
+  // A versioned bucket, whose versions hold their own ids
+  const versioned = new S3Lambda({ localPath })
+  const version = (key, id, latest) => ({
+    Key: `${prefix}/${key}`,
+    VersionId: id,
+    IsLatest: latest,
+    LastModified: new Date(`2017-03-0${id[1]}T00:00:00Z`),
+    Size: 2
+  })
+  versioned.s3Instance.listObjectVersions = (params, callback) => {
+    callback(null, {
+      Versions: [version('a', 'a2', true), version('a', 'a1', false), version('b', 'b1', true)],
+      IsTruncated: false
+    })
+  }
+  versioned.s3Instance.getObject = (params, callback) => {
+    callback(null, { Body: Buffer.from(params.VersionId) })
+  }
+  const copies = []
+  versioned.s3Instance.copyObject = (params, callback) => {
+    copies.push(params.CopySource)
+    callback(null, {})
+  }
+  const deletes = []
+  versioned.s3Instance.deleteObjects = (params, callback) => {
+    deletes.push(...params.Delete.Objects)
+    callback(null, { Deleted: params.Delete.Objects, Errors: [] })
+  }
+
+  const context = { bucket, prefix, versions: true }
+  versioned
+    .context(context)
+    .output(bucket, outputPrefix)
+    .filter(body => body !== 'a2')
+    .then(() => {
+      t.deepEqual(copies, ['a1', 'b1'].map(id => `${bucket}/${prefix}%2F${id[0]}?versionId=${id}`),
+        'copy the versions kept')
+      t.throws(() => versioned.context(context).inplace().filter(() => true), /permanent/,
+        'deleting versions requires an opt in')
+      return versioned
+        .context(context)
+        .inplace({ permanent: true })
+        .filter(body => body === 'b1')
+    })
+    .then(() => {
+      t.deepEqual(deletes, [
+        { Key: `${prefix}/a`, VersionId: 'a2' },
+        { Key: `${prefix}/a`, VersionId: 'a1' }
+      ], 'delete the versions filtered out')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context (versions) and S3Lambda.context.resume', (t) => {
+  t.plan(2)
+
+  // A versioned bucket, with several versions of a key
+  const versioned = new S3Lambda({ localPath })
+  const version = (key, id, latest) => ({
+    Key: `${prefix}/${key}`,
+    VersionId: id,
+    IsLatest: latest,
+    LastModified: new Date(`2017-03-0${id[1]}T00:00:00Z`),
+    Size: 2
+  })
+  versioned.s3Instance.listObjectVersions = (params, callback) => {
+    callback(null, {
+      Versions: [
+        version('a', 'a3', true),
+        version('a', 'a2', false),
+        version('a', 'a1', false),
+        version('b', 'b1', true)
+      ],
+      IsTruncated: false
+    })
+  }
+  versioned.s3Instance.getObject = (params, callback) => {
+    callback(null, { Body: Buffer.from(params.VersionId) })
+  }
+
+  // Fail on the second version of a key, and resume from there
+  const checkpointPath = path.resolve(__dirname, folder, 'checkpoint.json')
+  const context = { bucket, prefix, versions: true }
+  const processed = []
+  versioned
+    .context(context)
+    .checkpoint(checkpointPath)
+    .concurrency(1)
+    .each((body) => {
+      if (body === 'a2') {
+        throw new Error('failed')
+      }
+    })
+    .catch(() => {
+      t.equal(JSON.parse(readFile(checkpointPath)).versionId, 'a3', 'checkpoint the version')
+      return versioned
+        .context(context)
+        .resume(checkpointPath)
+        .concurrency(1)
+        .each((body) => {
+          processed.push(body)
+        })
+    })
+    .then(() => {
+      t.deepEqual(processed, ['a2', 'a1', 'b1'], 'resume with the older versions of the key')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context (selectors)', (t) => {
+
+  resetSandbox()
+  t.plan(4)
+
+  fs.writeFileSync(`${prefixPath}/file2`, 'a longer file')
+  const old = new Date('2017-01-01')
+  fs.utimesSync(`${prefixPath}/file3`, old, old)
+
+  const keys = selectors => lambda
+    .findObjects([Object.assign({ bucket, prefix }, selectors)])
+    .then(sources => sources.map(source => source.key.slice(prefix.length + 1)))
+
+  t.throws(() => lambda.context({ bucket, prefix, modifiedAfter: 'yesterday' }), /modifiedAfter/,
+    'invalid dates throw')
+
+  keys({ modifiedAfter: '2017-06-01' })
+    .then((result) => {
+      t.deepEqual(result, ['file1', 'file2', 'file4'], 'modifiedAfter')
+      return keys({ modifiedBefore: Date.now() - 60 * 60 * 1000, maxSize: 5 })
+    })
+    .then((result) => {
+      t.deepEqual(result, ['file3'], 'modifiedBefore and maxSize')
+      return keys({ minSize: 6, storageClass: ['STANDARD', 'STANDARD_IA'] })
+    })
+    .then((result) => {
+      t.deepEqual(result, ['file2'], 'minSize and storageClass')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.exclude (source metadata)', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  fs.writeFileSync(`${prefixPath}/file2`, 'a longer file')
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+  const sizes = []
+
+  lambda
+    .context(context)
+    .exclude((key, source) => source.size < 6)
+    .each((obj, key, source) => {
+      sizes.push(source.size)
+      t.ok(source.lastModified instanceof Date, 'source has lastModified')
+    })
+    .then(() => {
+      t.deepEqual(sizes, [13], 'exclude by size')
+    })
+    .catch(e => console.error(e.stack))
+})
+
 test('S3Lambda.context.forEach (sync)', (t) => {
 
   resetSandbox()
@@ -384,69 +918,280 @@ test('S3Lambda.context.output.map (async)', (t) => {
     }).catch(console.error)
 })
 
-test('S3Lambda.context.reduce (sync)', (t) => {
+test('S3Lambda.context.output.compress.map and S3Lambda.context.decompress', (t) => {
 
   resetSandbox()
-  t.plan(1)
+  t.plan(2)
 
-  const answer = 20
+  const outputPaths = files.map(f => `${outputPrefixPath}/${f}.gz`)
 
   const context = {
     bucket: bucket,
     prefix: prefix
   }
 
-  // Add the length of the contents of each file, starting at 0
   lambda
     .context(context)
-    .reduce((acc, cur, key) => acc + cur.length , 0)
+    .output(bucket, outputPrefix, key => `${key}.gz`)
+    .compress('gzip')
+    .map(obj => obj.toUpperCase())
+    .then(() => {
+      const contents = outputPaths.map(p => zlib.gunzipSync(fs.readFileSync(p)).toString())
+      t.deepEqual(contents, ['FILE1', 'FILE2', 'FILE3', 'FILE4'], 'map output is gzipped')
+      return lambda
+        .context({ bucket, prefix: outputPrefix })
+        .decompress()
+        .concurrency(1)
+        .reduce((acc, cur) => (acc || '') + cur)
+    })
     .then((result) => {
-      t.equal(result, answer, 'reduce sync')
-    }).catch(e => console.error(e.stack))
+      t.equal(result, 'FILE1FILE2FILE3FILE4', 'decompress detects gzip from extension')
+    })
+    .catch(e => console.error(e.stack))
 })
 
-test('S3Lambda.context.reduce (async)', (t) => {
+test('S3Lambda.context.output.compress.map and S3Lambda.context.decompress (zstd)', (t) => {
 
   resetSandbox()
-  t.plan(1)
 
-  const answer = 20
-
-  const context = {
-    bucket: bucket,
-    prefix: prefix
+  // zstd requires node 22.15 or later
+  if (typeof zlib.zstdCompress !== 'function') {
+    t.plan(1)
+    t.throws(() => lambda.context({ bucket, prefix }).compress('zstd'), /not supported/,
+      'compress rejects zstd right away')
+    return
   }
 
-  // Add the length of the contents of each file, starting at 0
+  t.plan(2)
+
+  const outputPaths = files.map(f => `${outputPrefixPath}/${f}.zst`)
+
   lambda
-    .context(context)
-    .reduce((prev, cur, key) => new Promise((success, fail) => {
-      success(prev + cur.length)
-    }), 0, true)
+    .context({ bucket, prefix })
+    .output(bucket, outputPrefix, key => `${key}.zst`)
+    .compress('zstd')
+    .map(obj => obj.toUpperCase())
+    .then(() => {
+      const contents = outputPaths.map(p => zlib.zstdDecompressSync(fs.readFileSync(p)).toString())
+      t.deepEqual(contents, ['FILE1', 'FILE2', 'FILE3', 'FILE4'], 'map output is zstd compressed')
+      return lambda
+        .context({ bucket, prefix: outputPrefix })
+        .decompress('zstd')
+        .concurrency(1)
+        .reduce((acc, cur) => (acc || '') + cur)
+    })
     .then((result) => {
-      t.equal(result, answer, 'reduce async')
-    }).catch(e => console.error(e.stack))
+      t.equal(result, 'FILE1FILE2FILE3FILE4', 'decompress zstd')
+    })
+    .catch(e => console.error(e.stack))
 })
 
-test('S3Lambda.context.filter (sync)', (t) => {
+test('S3Lambda.put (multipart)', (t) => {
 
   resetSandbox()
-  t.plan(1)
+  t.plan(3)
 
-  const answer = ['file1']
-  const context = {
-    bucket: bucket,
-    prefix: prefix
+  t.throws(() => new S3Lambda({ localPath, partSize: 1024 }), /partSize/, 'part size too small')
+
+  const multipart = new S3Lambda({
+    localPath,
+    multipartThreshold: 8,
+    partSize: 6 * 1024 * 1024,
+    queueSize: 2
+  })
+  const key = `${prefix}/multipart`
+
+  // Record which path each put takes. The mock uploads with putObject.
+  const calls = []
+  const uploads = new Set()
+  const instance = multipart.s3Instance
+  const upload = instance.upload
+  const putObject = instance.putObject
+  instance.upload = (params, options, callback) => {
+    calls.push(['upload', params.Key, options])
+    uploads.add(params.Key)
+    return upload.call(instance, params, options, callback)
+  }
+  instance.putObject = (params, callback) => {
+    if (!uploads.has(params.Key)) {
+      calls.push(['putObject', params.Key])
+    }
+    return putObject.call(instance, params, callback)
   }
 
-  lambda
-    .context(context)
-    .inplace()
-    .filter(obj => obj == 'file1')
-    .then(() => {
-      t.deepEqual(answer, readDir(prefixPath), 'filter inplace (sync)')
+  multipart
+    .put(bucket, key, 'hello world')
+    .then(() => multipart.put(bucket, `${key}-small`, 'hello'))
+    .then(() => multipart.get(bucket, key))
+    .then((body) => {
+      t.equal(body, 'hello world', 'put above the threshold')
+      t.deepEqual(calls, [
+        ['upload', key, { partSize: 6 * 1024 * 1024, queueSize: 2, leavePartsOnError: false }],
+        ['putObject', `${key}-small`]
+      ], 'uploads in parts above the threshold only')
     })
-    .catch(e => console.error(e))
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.put and S3Lambda.get (bzip2)', (t) => {
+
+  resetSandbox()
+  t.plan(1)
+
+  const key = `${prefix}/file.bz2`
+
+  lambda
+    .put(bucket, key, 'hello world', null, 'bzip2')
+    .then(() => lambda.get(bucket, key, null, null, 'bzip2'))
+    .then((body) => {
+      t.equal(body, 'hello world', 'bzip2 round trip')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.records.map (ndjson)', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const key = `${prefix}/records.json`
+  const context = {
+    bucket: bucket,
+    prefix: key
+  }
+  const lines = []
+
+  lambda
+    .put(bucket, key, '{"n":1}\n{"n":2}\n\n{"n":3}\n')
+    .then(() => lambda
+      .context(context)
+      .inplace()
+      .records('ndjson')
+      .map((record, recordKey, line) => {
+        lines.push(line)
+        return record.n === 2 ? null : { n: record.n * 10 }
+      }))
+    .then(() => {
+      t.deepEqual(lines, [1, 2, 4], 'called with line numbers')
+      t.equal(readFile(`${prefixPath}/records.json`), '{"n":10}\n{"n":30}', 'records serialized')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.records.reduce (csv)', (t) => {
+
+  resetSandbox()
+  t.plan(1)
+
+  const context = {
+    bucket: bucket,
+    prefix: `${prefix}/records`
+  }
+
+  lambda
+    .put(bucket, `${prefix}/records1.csv`, 'name,count\na,1\n"b, ""quoted""",2\n')
+    .then(() => lambda.put(bucket, `${prefix}/records2.csv`, 'name,count\nc,3\n'))
+    .then(() => lambda
+      .context(context)
+      .records('csv')
+      .concurrency(1)
+      .reduce((acc, record) => acc.concat(`${record.name}=${record.count}`), []))
+    .then((result) => {
+      t.deepEqual(result, ['a=1', 'b, "quoted"=2', 'c=3'], 'reduce across records of all objects')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.stream.output.map', (t) => {
+
+  resetSandbox()
+  t.plan(1)
+
+  const outputPaths = files.map(f => `${outputPrefixPath}/${f}`)
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .output(bucket, outputPrefix)
+    .stream()
+    .map(body => body.pipe(new stream.Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, chunk.toString().toUpperCase())
+      }
+    })))
+    .then(() => {
+      t.deepEqual(readFiles(outputPaths), ['FILE1', 'FILE2', 'FILE3', 'FILE4'], 'streams uploaded')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.reduce (sync)', (t) => {
+
+  resetSandbox()
+  t.plan(1)
+
+  const answer = 20
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  // Add the length of the contents of each file, starting at 0
+  lambda
+    .context(context)
+    .reduce((acc, cur, key) => acc + cur.length , 0)
+    .then((result) => {
+      t.equal(result, answer, 'reduce sync')
+    }).catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.reduce (async)', (t) => {
+
+  resetSandbox()
+  t.plan(1)
+
+  const answer = 20
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  // Add the length of the contents of each file, starting at 0
+  lambda
+    .context(context)
+    .reduce((prev, cur, key) => new Promise((success, fail) => {
+      success(prev + cur.length)
+    }), 0, true)
+    .then((result) => {
+      t.equal(result, answer, 'reduce async')
+    }).catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.filter (sync)', (t) => {
+
+  resetSandbox()
+  t.plan(1)
+
+  const answer = ['file1']
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .inplace()
+    .filter(obj => obj == 'file1')
+    .then(() => {
+      t.deepEqual(answer, readDir(prefixPath), 'filter inplace (sync)')
+    })
+    .catch(e => console.error(e))
 })
 
 test('S3Lambda.context.filter (async)', (t) => {
@@ -474,6 +1219,74 @@ test('S3Lambda.context.filter (async)', (t) => {
     .catch(e => console.error(e.stack))
 })
 
+test('S3Lambda.context.filter (batched deletes)', (t) => {
+
+  resetSandbox()
+  t.plan(3)
+
+  const keys = []
+  for (let i = 0; i < 1200; i++) {
+    keys.push(`file${i}`)
+    fs.writeFileSync(`${prefixPath}/file${i}`, `file${i}`)
+  }
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  // Record the size of each deleteObjects batch
+  const batches = []
+  const deleteObjects = lambda.deleteObjects
+  lambda.deleteObjects = (deleteBucket, deleteKeys) => {
+    batches.push(deleteKeys.length)
+    return deleteObjects.call(lambda, deleteBucket, deleteKeys)
+  }
+
+  lambda
+    .context(context)
+    .inplace()
+    .concurrency(50)
+    .filter(obj => obj === 'file1')
+    .then(() => {
+      lambda.deleteObjects = deleteObjects
+      t.deepEqual(fs.readdirSync(prefixPath), ['file1'], 'filter inplace')
+      t.ok(batches.length < keys.length / 10, 'deletes in batches')
+      t.ok(batches.every(size => size <= 1000), 'at most 1000 keys per batch')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.continueOnError.filter (delete errors)', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .inplace()
+    .continueOnError()
+    .filter((obj) => {
+
+      // Remove file2 behind the request's back, so deleting it fails
+      if (obj === 'file2') {
+        fs.unlinkSync(`${prefixPath}/file2`)
+      }
+      return obj === 'file1'
+    })
+    .then((report) => {
+      t.deepEqual(report.failures.map(failure => [failure.key, failure.stage]),
+        [['files/file2', 'delete']], 'reports per-key delete errors')
+      t.deepEqual(fs.readdirSync(prefixPath), ['file1'], 'other objects deleted')
+    })
+    .catch(e => console.error(e.stack))
+})
+
 test('S3Lambda.context.output.filter (sync)', (t) => {
 
   resetSandbox()
@@ -519,6 +1332,690 @@ test('S3Lambda.context.output.filter (async)', (t) => {
     .catch(e => console.error(e.stack))
 })
 
+test('S3Lambda.context.output.copy', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .output(bucket, outputPrefix, key => `${key}-copy`)
+    .copy()
+    .then(() => {
+      t.deepEqual(readDir(outputPrefixPath), files.map(f => `${f}-copy`), 'objects copied')
+      t.deepEqual(readDir(prefixPath), files, 'sources kept')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.copy (multipart)', (t) => {
+
+  t.plan(7)
+
+  const GB = 1024 * 1024 * 1024
+  const size = (5 * GB) + 1
+  const copier = new S3Lambda({ localPath, queueSize: 2 })
+  const instance = copier.s3Instance
+  const calls = []
+  let failPart = null
+
+  // A 5 GB + 1 byte object, whose later parts are copied faster
+  instance.copyObject = (params, callback) => {
+    const err = new Error('The specified copy source is larger than the maximum allowable size')
+    err.code = 'InvalidRequest'
+    process.nextTick(() => callback(err))
+  }
+  instance.headObject = (params, callback) => {
+    process.nextTick(() => callback(null, {
+      ContentLength: size,
+      ContentType: 'text/plain',
+      Metadata: { owner: 'me' },
+      ETag: '"source"'
+    }))
+  }
+  instance.createMultipartUpload = (params, callback) => {
+    calls.push(['createMultipartUpload', params])
+    process.nextTick(() => callback(null, { UploadId: 'upload' }))
+  }
+  instance.uploadPartCopy = (params, callback) => {
+    calls.push(['uploadPartCopy', params.PartNumber, params.CopySourceRange])
+    setTimeout(() => {
+      if (params.PartNumber === failPart) {
+        const err = new Error('Access Denied')
+        err.code = 'AccessDenied'
+        callback(err)
+      } else {
+        callback(null, { CopyPartResult: { ETag: `"part${params.PartNumber}"` } })
+      }
+    }, 10 - params.PartNumber)
+  }
+  instance.completeMultipartUpload = (params, callback) => {
+    calls.push(['completeMultipartUpload', params.MultipartUpload.Parts])
+    process.nextTick(() => callback(null, {}))
+  }
+  instance.abortMultipartUpload = (params, callback) => {
+    calls.push(['abortMultipartUpload', params.UploadId])
+    process.nextTick(() => callback(null, {}))
+  }
+  const named = name => calls.filter(call => call[0] === name)
+
+  copier
+    .copy(bucket, 'big', bucket, 'big-copy', size)
+    .then(() => {
+      t.deepEqual(named('createMultipartUpload')[0][1], {
+        Bucket: bucket,
+        Key: 'big-copy',
+        ContentType: 'text/plain',
+        Metadata: { owner: 'me' }
+      }, 'carries headers over')
+      t.deepEqual(named('uploadPartCopy').map(call => call[2]).sort(), [
+        `bytes=0-${GB - 1}`,
+        `bytes=${GB}-${(2 * GB) - 1}`,
+        `bytes=${2 * GB}-${(3 * GB) - 1}`,
+        `bytes=${3 * GB}-${(4 * GB) - 1}`,
+        `bytes=${4 * GB}-${(5 * GB) - 1}`,
+        `bytes=${5 * GB}-${5 * GB}`
+      ], 'copies 1 GB parts')
+      t.deepEqual(named('completeMultipartUpload')[0][1].map(part => part.ETag),
+        ['"part1"', '"part2"', '"part3"', '"part4"', '"part5"', '"part6"'],
+        'completes with the parts in order')
+
+      // Without a size, copyObject is tried first
+      calls.length = 0
+      return copier.copy(bucket, 'big', bucket, 'big-copy')
+    })
+    .then(() => {
+      t.equal(named('completeMultipartUpload').length, 1, 'falls back to a multipart copy')
+
+      calls.length = 0
+      failPart = 3
+      return copier.copy(bucket, 'big', bucket, 'big-copy', size)
+    })
+    .then(() => t.fail('the copy should fail'), (err) => {
+      t.equal(err.code, 'AccessDenied', 'rejects with the part error')
+      t.deepEqual(named('abortMultipartUpload'), [['abortMultipartUpload', 'upload']],
+        'aborts the upload')
+      t.equal(named('completeMultipartUpload').length, 0, 'does not complete the upload')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.continueOnError', (t) => {
+
+  resetSandbox()
+  t.plan(4)
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .continueOnError()
+    .output(bucket, outputPrefix)
+    .map((obj, key) => {
+      if (obj === 'file2') {
+        throw new Error('bad object')
+      }
+      return key + obj
+    })
+    .then((report) => {
+      t.equal(report.successes, 3, 'counts successes')
+      t.equal(report.failures.length, 1, 'collects failures')
+      t.deepEqual([report.failures[0].key, report.failures[0].stage], ['files/file2', 'function'],
+        'failure has key and stage')
+      t.deepEqual(readDir(outputPrefixPath), ['file1', 'file3', 'file4'], 'other objects processed')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.abort', (t) => {
+
+  resetSandbox()
+  t.plan(8)
+
+  // Gets of file1 succeed, the others hang until they are aborted
+  const aborting = new S3Lambda({ localPath })
+  const requested = []
+  const getObject = aborting.s3Instance.getObject
+  aborting.s3Instance.getObject = (params, callback) => {
+    requested.push(params.Key)
+    if (params.Key === `${prefix}/file1`) {
+      return getObject.call(aborting.s3Instance, params, callback)
+    }
+    return {
+      abort: () => callback(new Error('request aborted'))
+    }
+  }
+
+  const request = aborting.context({ bucket, prefix }).continueOnError().concurrency(2)
+  request
+    .each((obj) => {
+      if (obj === 'file1') {
+        request.abort()
+      }
+    })
+    .catch((err) => {
+      t.equal(err.name, 'AbortError', 'rejects with an AbortError')
+      t.equal(err.report.completed, 1, 'reports completed objects')
+      t.deepEqual(err.report.interrupted.map(source => source.key), [`${prefix}/file2`],
+        'reports interrupted objects')
+      t.equal(err.report.successes, 1, 'interrupted objects are not successes')
+      t.deepEqual(requested, [`${prefix}/file1`, `${prefix}/file2`], 'stops processing objects')
+
+      const controller = new AbortController()
+      controller.abort()
+      return aborting.context({ bucket, prefix }).signal(controller.signal).each(() => {})
+    })
+    .catch((err) => {
+      t.equal(err.report.completed, 0, 'aborted signal stops the request')
+      t.equal(requested.length, 2, 'nothing processed after abort')
+
+      // A checkpoint of other contexts fails the request before it starts
+      const checkpointPath = path.resolve(__dirname, folder, 'checkpoint.json')
+      fs.writeFileSync(checkpointPath, JSON.stringify({ context: 5, bucket, key: 'a' }))
+      const controller = new AbortController()
+      return aborting
+        .context({ bucket, prefix })
+        .signal(controller.signal)
+        .resume(checkpointPath)
+        .each(() => {})
+        .catch(() => controller.signal)
+    })
+    .then((signal) => {
+      t.equal(getEventListeners(signal, 'abort').length, 0,
+        'stops listening to the signal when the checkpoint fails to load')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.get (retries)', (t) => {
+
+  resetSandbox()
+  t.plan(10)
+
+  // Only managed uploads keep the aws sdk's retries
+  const sdk = new S3Lambda({ maxRetries: 5 })
+  t.equal(sdk.s3Instance.config.maxRetries, 0, 'requests are not retried by the aws sdk')
+  t.equal(sdk.uploader.config.maxRetries, 5, 'uploads are retried by the aws sdk')
+  t.equal(new S3Lambda({ localPath }).retries, 10, 'requests are retried 10 times by default')
+
+  const retrying = new S3Lambda({
+    localPath,
+    retryDelay: 1,
+    retryOperations: { deleteObject: { retries: 0 } }
+  })
+  const attempts = { getObject: 0, deleteObject: 0 }
+  const getObject = retrying.s3Instance.getObject
+  retrying.s3Instance.getObject = (params, callback) => {
+    attempts.getObject++
+    if (attempts.getObject <= 2) {
+      const err = new Error('Please reduce your request rate.')
+      err.code = 'SlowDown'
+      err.statusCode = 503
+      callback(err)
+      return null
+    }
+    return getObject.call(retrying.s3Instance, params, callback)
+  }
+  retrying.s3Instance.deleteObject = (params, callback) => {
+    attempts.deleteObject++
+    const err = new Error('We encountered an internal error.')
+    err.code = 'InternalError'
+    err.statusCode = 500
+    callback(err)
+  }
+
+  retrying
+    .get(bucket, `${prefix}/file1`)
+    .then((body) => {
+      t.equal(body, 'file1', 'retries throttled requests')
+      t.equal(attempts.getObject, 3, 'until they succeed')
+      t.equal(retrying.throttles, 2, 'counts throttling')
+      return retrying.get(bucket, `${prefix}/missing`).catch(() => null)
+    })
+    .then(() => {
+      t.equal(attempts.getObject, 4, 'other errors are not retried')
+      return retrying.delete(bucket, `${prefix}/file1`).catch(() => null)
+    })
+    .then(() => {
+      t.equal(attempts.deleteObject, 1, 'retries can be set by operation')
+
+      // maxRetries sets the retries of requests too, unless retries is set
+      const legacy = new S3Lambda({ localPath, maxRetries: 4, retryDelay: 1 })
+      legacy.s3Instance.getObject = (params, callback) => {
+        attempts.legacy = (attempts.legacy || 0) + 1
+        const err = new Error('Please reduce your request rate.')
+        err.code = 'SlowDown'
+        err.statusCode = 503
+        callback(err)
+      }
+      return legacy.get(bucket, `${prefix}/file1`).catch(err => err)
+    })
+    .then((err) => {
+      t.equal(err.code, 'SlowDown', 'fails once retries run out')
+      t.equal(attempts.legacy, 5, 'maxRetries sets the retries of requests')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda rate limits', (t) => {
+
+  resetSandbox()
+  t.plan(4)
+
+  const keys = []
+  for (let i = 0; i < 13; i++) {
+    keys.push(`${prefix}/object${i}`)
+    fs.writeFileSync(`${bucketPath}/${keys[i]}`, 'x')
+  }
+
+  // 10 gets are sent at once, and then 10 per second
+  const limited = new S3Lambda({ localPath, getsPerSecond: 10 })
+  let start = Date.now()
+  limited
+    .context({ bucket, prefix: `${prefix}/object` })
+    .each(() => {})
+    .then(() => {
+      t.ok(Date.now() - start >= 250, 'limits requests per second')
+
+      // Two requests share the limit
+      const context = { bucket, prefix: `${prefix}/object1` }
+      start = Date.now()
+      return Promise.all([
+        limited.context(context).each(() => {}),
+        limited.context(context).each(() => {})
+      ])
+    })
+    .then(() => {
+      t.ok(Date.now() - start >= 250, 'limits are shared by requests')
+
+      // After a large put, gets wait for the bandwidth to be available again
+      limited.setRateLimits({ bytesPerSecond: 100 })
+      return limited.put(bucket, `${prefix}/large`, 'x'.repeat(120))
+    })
+    .then(() => {
+
+      // Downloads wait for the bandwidth before they are requested
+      const getObject = limited.s3Instance.getObject
+      const sent = []
+      limited.s3Instance.getObject = (params, callback) => {
+        sent.push(Date.now() - start)
+        return getObject.call(limited.s3Instance, params, callback)
+      }
+      start = Date.now()
+      return limited.get(bucket, `${prefix}/object0`).then(() => {
+        t.ok(sent[0] >= 150, 'limits bytes per second')
+
+        // Listed sizes are used, and the requests are spread out
+        limited.setRateLimits({ bytesPerSecond: 2 })
+        sent.length = 0
+        start = Date.now()
+        return limited.context({ bucket, prefix: `${prefix}/object1` }).each(() => {})
+      }).then(() => {
+        t.ok(sent[sent.length - 1] >= 900, 'limits the bandwidth of requests')
+      })
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.adaptiveConcurrency', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const keys = []
+  for (let i = 0; i < 12; i++) {
+    keys.push(`${prefix}/object${i}`)
+    fs.writeFileSync(`${bucketPath}/${keys[i]}`, keys[i])
+  }
+
+  // The first request is throttled, the others take a few ms
+  const adaptive = new S3Lambda({ localPath, retryDelay: 1 })
+  const getObject = adaptive.s3Instance.getObject
+  let throttled = false
+  adaptive.s3Instance.getObject = (params, callback) => {
+    if (!throttled) {
+      throttled = true
+      const err = new Error('Please reduce your request rate.')
+      err.code = 'SlowDown'
+      process.nextTick(() => callback(err))
+      return null
+    }
+    setTimeout(() => getObject.call(adaptive.s3Instance, params, callback), 5)
+    return null
+  }
+
+  const concurrency = []
+  const request = adaptive.context({ bucket, prefix: `${prefix}/object` }).adaptiveConcurrency(4)
+  request
+    .each(() => {
+      concurrency.push(request.batch.n)
+    })
+    .then(() => {
+      t.equal(concurrency[0], 4, 'starts at the maximum concurrency')
+      t.equal(concurrency[concurrency.length - 1], 2, 'backs off when throttled')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.withStats.output.map (events)', (t) => {
+
+  resetSandbox()
+  t.plan(7)
+
+  const events = { listed: 0, fetched: 0, processed: 0, written: 0 }
+  const request = lambda
+    .context({ bucket, prefix })
+    .output(bucket, outputPrefix)
+    .concurrency(1)
+    .withStats()
+  Object.keys(events).forEach((event) => {
+    request.on(event, () => events[event]++)
+  })
+  const errors = []
+  request.on('error', (err, source, stage) => errors.push(stage))
+
+  request
+    .map((obj, key) => {
+      if (key === 'files/file4') {
+        throw new Error('mapper failed')
+      }
+      return obj + obj
+    })
+    .then(() => t.fail('the request should fail'))
+    .catch(() => {
+      t.deepEqual(events, { listed: 4, fetched: 4, processed: 3, written: 3 },
+        'emits an event for each step')
+      t.deepEqual(errors, ['function'], 'emits errors with their stage')
+      return lambda
+        .context({ bucket, prefix })
+        .output(bucket, outputPrefix)
+        .withStats()
+        .map(obj => obj + obj)
+    })
+    .then((res) => {
+      t.equal(res.result.key, 'files/file4', 'resolves with the result')
+      t.deepEqual([res.stats.listed, res.stats.processed, res.stats.written], [4, 4, 4],
+        'counts objects')
+      t.deepEqual([res.stats.bytesIn, res.stats.bytesOut], [20, 40], 'counts bytes')
+      t.equal(res.stats.duplicates, 0, 'counts no duplicates')
+
+      // Overlapping contexts list file1 and file2 twice
+      return lambda
+        .context([{ bucket, prefix }, { bucket, prefix: `${prefix}/file`, end: `${prefix}/file3` }])
+        .withStats()
+        .each(() => {})
+    })
+    .then((res) => {
+      t.deepEqual([res.stats.listed, res.stats.duplicates], [4, 2], 'counts duplicates')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.each (progress)', (t) => {
+
+  resetSandbox()
+  t.plan(8)
+
+  const keys = []
+  for (let i = 0; i < 40; i++) {
+    keys.push(`${prefix}/object${i}`)
+    fs.writeFileSync(`${bucketPath}/${keys[i]}`, keys[i])
+  }
+
+  let output = ''
+  const writable = new stream.Writable({
+    write(chunk, encoding, callback) {
+      output += chunk
+      callback()
+    }
+  })
+  const progress = new S3Lambda({
+    localPath,
+    showProgress: { stream: writable, interval: 10, count: true }
+  })
+
+  // Listing takes a while
+  const listObjectsV2 = progress.s3Instance.listObjectsV2
+  let lists = 0
+  progress.s3Instance.listObjectsV2 = (params, callback) => {
+    lists++
+    setTimeout(() => listObjectsV2.call(progress.s3Instance, params, callback), 30)
+  }
+
+  progress
+    .context({ bucket, prefix: `${prefix}/object` })
+    .concurrency(2)
+    .each(() => new Promise(success => setTimeout(success, 5)), true)
+    .then(() => {
+      const lines = output.trim().split('\n')
+      const processing = lines
+        .map(line => /^processing: (\d+)\/40 \d+%, ETA \S+, /.exec(line))
+        .filter(match => match)
+      t.ok(/^listing: \d pages, \d+ keys found/.test(lines[0]), 'shows listing progress')
+      t.ok(processing.length > 0, 'shows processing progress once listed')
+      t.ok(processing.some(match => Number(match[1]) < 20), 'well before processing is over')
+      t.ok(/^done: 40 objects in \d+s, [\d.]+ objects\/s, [\d.]+ MB\/s, 0 errors$/
+        .test(lines[lines.length - 1]), 'ends with a summary')
+
+      // Without count, the keys aren't listed twice
+      progress.showProgress = { stream: writable, interval: 10 }
+      output = ''
+      lists = 0
+      return progress.context({ bucket, prefix: `${prefix}/object` }).each(() => {})
+    })
+    .then(() => {
+      const lines = output.trim().split('\n')
+      t.equal(lists, 1, 'counting is opt in')
+      t.ok(/^done: 40 objects/.test(lines[lines.length - 1]), 'shows progress without counting')
+
+      // Progress lines go to a plugged in logger instead
+      const logs = []
+      const logger = {}
+      const levels = ['debug', 'info', 'warn', 'error']
+      levels.forEach((level) => {
+        logger[level] = (message, fields) => logs.push({ level, message, fields })
+      })
+      const logged = new S3Lambda({ localPath, logger, showProgress: { stream: writable } })
+      output = ''
+      return logged.context({ bucket, prefix: `${prefix}/object` }).each(() => {}).then(() => logs)
+    })
+    .then((logs) => {
+      const done = logs.filter(log => log.fields.phase === 'done')
+      t.equal(output, '', 'writes nothing with a logger')
+      t.deepEqual(done.map(log => [log.level, log.fields.processed, log.fields.errors]),
+        [['info', 40, 0]], 'logs progress at info, with fields')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.dryRun.filter', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .inplace()
+    .dryRun()
+    .filter(obj => obj === 'file1')
+    .then((plan) => {
+      t.deepEqual(plan.map(action => [action.action, action.key, action.size]), [
+        ['delete', 'files/file2', 5],
+        ['delete', 'files/file3', 5],
+        ['delete', 'files/file4', 5]
+      ], 'plan lists deletions')
+      t.deepEqual(readDir(prefixPath), files, 'nothing deleted')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.dryRun.output.map', (t) => {
+
+  resetSandbox()
+  t.plan(3)
+
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .output(bucket, outputPrefix, key => key.concat('ab'))
+    .dryRun()
+    .map((obj, key) => new Promise((success) => {
+
+      // Later objects settle first
+      setTimeout(() => success(key + obj), 40 - (10 * files.indexOf(obj)))
+    }), true)
+    .then((plan) => {
+      t.deepEqual(plan[0], {
+        action: 'put',
+        bucket,
+        key: 'files/file1',
+        targetBucket: bucket,
+        targetKey: 'output-files/file1ab',
+        size: 16
+      }, 'plan lists renamed output')
+      t.deepEqual(plan.map(action => action.key), files.map(f => `${prefix}/${f}`),
+        'in listing order')
+      t.notOk(fileExists(outputPrefixPath), 'nothing written')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.checkpoint', (t) => {
+
+  resetSandbox()
+  t.plan(1)
+
+  const checkpointPath = path.resolve(__dirname, folder, 'checkpoint.json')
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .checkpoint(checkpointPath)
+    .each(() => {})
+    .then(() => {
+      const checkpoint = JSON.parse(readFile(checkpointPath))
+      t.deepEqual(checkpoint, {
+        context: 0,
+        bucket,
+        key: 'files/file4',
+        completed: 4
+      }, 'checkpoint saved after the last object')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.continueOnError.checkpoint', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const checkpointPath = path.resolve(__dirname, folder, 'checkpoint.json')
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .continueOnError()
+    .checkpoint(checkpointPath)
+    .concurrency(1)
+    .each((obj, key) => {
+      if (key === 'files/file2') {
+        throw new Error('failed')
+      }
+    })
+    .then((report) => {
+      t.equal(report.failures.length, 1, 'reports the failure')
+      t.deepEqual(JSON.parse(readFile(checkpointPath)), {
+        context: 0,
+        bucket,
+        key: 'files/file1',
+        completed: 1
+      }, 'checkpoint stops before the failed object')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.dryRun.resume', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const checkpointPath = path.resolve(__dirname, folder, 'dry-run.checkpoint.json')
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .context(context)
+    .inplace()
+    .dryRun()
+    .resume(checkpointPath)
+    .filter(() => false)
+    .then((plan) => {
+      t.equal(plan.length, 4, 'plans every deletion')
+      t.notOk(fileExists(checkpointPath), 'no checkpoint recorded')
+    })
+    .catch(e => console.error(e.stack))
+})
+
+test('S3Lambda.context.resume', (t) => {
+
+  resetSandbox()
+  t.plan(2)
+
+  const checkpointKey = 'checkpoints/job.json'
+  const keys = []
+  const context = {
+    bucket: bucket,
+    prefix: prefix
+  }
+
+  lambda
+    .put(bucket, checkpointKey, JSON.stringify({
+      context: 0,
+      bucket,
+      key: 'files/file2',
+      completed: 2
+    }))
+    .then(() => lambda
+      .context(context)
+      .resume({ bucket, key: checkpointKey })
+      .forEach((obj, key) => {
+        keys.push(key)
+      }))
+    .then(() => {
+      t.deepEqual(keys, ['files/file3', 'files/file4'], 'skips objects up to the checkpoint')
+      return lambda.get(bucket, checkpointKey)
+    })
+    .then((checkpoint) => {
+      t.equal(JSON.parse(checkpoint).completed, 4, 'checkpoint updated after resuming')
+    })
+    .catch(e => console.error(e.stack))
+})
+
 test('end', (t) => {
   rimraf(path.resolve(__dirname, 'buckets'))
   t.end()